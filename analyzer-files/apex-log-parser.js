@@ -0,0 +1,429 @@
+// Shared ApexLog parser - turns a raw log body into typed events and an execution tree
+;(() => {
+
+  // Events that open a nested unit of work, mapped to the event that closes it
+  const SCOPE_PAIRS = {
+    EXECUTION_STARTED: "EXECUTION_FINISHED",
+    CODE_UNIT_STARTED: "CODE_UNIT_FINISHED",
+    METHOD_ENTRY: "METHOD_EXIT",
+    CONSTRUCTOR_ENTRY: "CONSTRUCTOR_EXIT",
+    SYSTEM_METHOD_ENTRY: "SYSTEM_METHOD_EXIT",
+    SYSTEM_CONSTRUCTOR_ENTRY: "SYSTEM_CONSTRUCTOR_EXIT",
+    SOQL_EXECUTE_BEGIN: "SOQL_EXECUTE_END",
+    SOSL_EXECUTE_BEGIN: "SOSL_EXECUTE_END",
+    DML_BEGIN: "DML_END",
+    CALLOUT_REQUEST: "CALLOUT_RESPONSE",
+  }
+
+  const CLOSING_EVENTS = Object.fromEntries(Object.entries(SCOPE_PAIRS).map(([open, close]) => [close, open]))
+
+  // 12:34:56.789 (123456789)|EVENT_TYPE|[12]|details...
+  const EVENT_LINE = /^(\d{2}:\d{2}:\d{2}\.\d{1,3})\s*\((\d+)\)\|([A-Z_]+)(?:\|(.*))?$/
+
+  // 58.0 APEX_CODE,FINEST;APEX_PROFILING,INFO;...
+  const HEADER_LINE = /^(\d+\.\d+)\s+([A-Z_]+,[A-Z]+(?:;[A-Z_]+,[A-Z]+)*)\s*$/
+
+  // `sf apex get log --output-dir` names files after the ApexLog ID: 07L5g00000AbCdEFGH.log
+  const LOG_ID_FILE_NAME = /^(07L[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?)(?:\.\w+)?$/
+
+  const DAY_MS = 24 * 60 * 60 * 1000
+
+  class ApexLogParser {
+    // Parse a log body into { header, events, tree, lineCount }
+    parse(logBody) {
+      const result = {
+        header: { apiVersion: null, logLevels: {} },
+        events: [],
+        tree: this.createNode("ROOT", "Log", null),
+        lineCount: 0,
+      }
+
+      if (!logBody) return result
+
+      const lines = logBody.split(/\r?\n/)
+      result.lineCount = lines.length
+
+      const stack = [result.tree]
+      let lastEvent = null
+
+      lines.forEach((line, index) => {
+        const lineNumber = index + 1
+
+        if (!result.header.apiVersion) {
+          const headerMatch = line.match(HEADER_LINE)
+          if (headerMatch) {
+            result.header = this.parseHeader(headerMatch)
+            return
+          }
+        }
+
+        const event = this.parseEventLine(line, lineNumber)
+
+        if (!event) {
+          // Continuation of a multi-line event (debug output, limit usage, etc.)
+          if (lastEvent && line.length > 0) {
+            lastEvent.extraLines.push(line)
+          }
+          return
+        }
+
+        result.events.push(event)
+        lastEvent = event
+        this.addToTree(stack, event)
+      })
+
+      // Close anything left open at the end of a truncated log
+      const lastNanos = lastEvent ? lastEvent.nanos : 0
+      while (stack.length > 1) {
+        this.closeNode(stack.pop(), lastNanos, null)
+      }
+      this.closeNode(result.tree, lastNanos, null)
+      result.tree.startNanos = result.events.length > 0 ? result.events[0].nanos : 0
+      result.tree.duration = result.tree.endNanos - result.tree.startNanos
+
+      return result
+    }
+
+    parseHeader(headerMatch) {
+      const logLevels = {}
+      headerMatch[2].split(";").forEach((pair) => {
+        const [category, level] = pair.split(",")
+        if (category && level) logLevels[category] = level
+      })
+
+      return { apiVersion: headerMatch[1], logLevels }
+    }
+
+    parseEventLine(line, lineNumber) {
+      const match = line.match(EVENT_LINE)
+      if (!match) return null
+
+      const fields = match[4] !== undefined ? match[4].split("|") : []
+      let sourceLine = null
+
+      // Most events carry the Apex source line as [12] or [EXTERNAL]
+      const sourceMatch = fields[0]?.match(/^\[(\d+|EXTERNAL)\]$/)
+      if (sourceMatch) {
+        sourceLine = sourceMatch[1] === "EXTERNAL" ? "EXTERNAL" : Number.parseInt(sourceMatch[1])
+        fields.shift()
+      }
+
+      return {
+        lineNumber,
+        timestamp: match[1],
+        nanos: Number.parseInt(match[2]),
+        type: match[3],
+        sourceLine,
+        fields,
+        message: fields.join("|"),
+        extraLines: [],
+      }
+    }
+
+    createNode(type, name, event) {
+      return {
+        type,
+        name,
+        lineNumber: event ? event.lineNumber : 0,
+        sourceLine: event ? event.sourceLine : null,
+        startNanos: event ? event.nanos : 0,
+        endNanos: null,
+        duration: 0,
+        children: [],
+        events: [],
+      }
+    }
+
+    closeNode(node, endNanos, closingEvent) {
+      node.endNanos = endNanos
+      node.duration = Math.max(0, endNanos - node.startNanos)
+      node.closed = !!closingEvent
+      if (closingEvent) {
+        node.exitLineNumber = closingEvent.lineNumber
+        node.exitDetails = closingEvent.message
+      }
+    }
+
+    addToTree(stack, event) {
+      const current = stack[stack.length - 1]
+
+      if (SCOPE_PAIRS[event.type]) {
+        const node = this.createNode(event.type, this.getNodeName(event), event)
+        current.children.push(node)
+        stack.push(node)
+        return
+      }
+
+      const openingType = CLOSING_EVENTS[event.type]
+      if (openingType) {
+        // Pop to the matching opener, closing any scopes the log never exited
+        const matchIndex = this.findOpenScope(stack, openingType)
+        if (matchIndex > 0) {
+          while (stack.length > matchIndex + 1) {
+            this.closeNode(stack.pop(), event.nanos, null)
+          }
+          this.closeNode(stack.pop(), event.nanos, event)
+          return
+        }
+      }
+
+      current.events.push(event)
+    }
+
+    findOpenScope(stack, openingType) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].type === openingType) return i
+      }
+      return -1
+    }
+
+    getNodeName(event) {
+      switch (event.type) {
+        case "EXECUTION_STARTED":
+          return "Execution"
+        case "DML_BEGIN":
+          // Op:Insert|Type:Account|Rows:1
+          return event.fields.map((field) => field.replace(/^[A-Za-z]+:/, "")).join(" ")
+        default:
+          return event.fields[event.fields.length - 1] || event.type
+      }
+    }
+
+    // Legacy summary shape consumed by correlation, the panel and exports
+    summarize(parsedLog) {
+      const summary = {
+        apiVersion: parsedLog.header.apiVersion,
+        logLevels: parsedLog.header.logLevels,
+        errors: [],
+        warnings: [],
+        checkoutEvents: [],
+        paymentEvents: [],
+        cartEvents: [],
+        apiCalls: [],
+        webserviceCalls: [],
+        dmlOperations: [],
+        soqlQueries: [],
+        systemEvents: [],
+        userActions: [],
+        codeUnits: [],
+        apexClass: null,
+        userInfo: null,
+        eventCounts: {},
+        performance: {
+          totalTime: 0,
+          cpuTime: 0,
+          heapSize: 0,
+          soqlQueries: 0,
+          dmlStatements: 0,
+        },
+      }
+
+      parsedLog.events.forEach((event) => {
+        summary.eventCounts[event.type] = (summary.eventCounts[event.type] || 0) + 1
+
+        const entry = {
+          timestamp: event.timestamp,
+          nanos: event.nanos,
+          lineNumber: event.lineNumber,
+          eventType: event.type,
+        }
+        const text = [event.message, ...event.extraLines].join("\n")
+
+        switch (event.type) {
+          case "FATAL_ERROR":
+          case "EXCEPTION_THROWN":
+            summary.errors.push({ ...entry, message: text, type: "error" })
+            break
+          case "USER_DEBUG": {
+            // USER_DEBUG|[12]|ERROR|message
+            const level = event.fields[0]
+            if (level === "ERROR") summary.errors.push({ ...entry, message: text, type: "error" })
+            if (level === "WARN") summary.warnings.push({ ...entry, message: text, type: "warning" })
+            break
+          }
+          case "CODE_UNIT_STARTED": {
+            const codeUnit = event.fields[event.fields.length - 1]
+            if (codeUnit) summary.codeUnits.push(codeUnit)
+            // [EXTERNAL]|apex://CheckoutController/ACTION$placeOrder
+            const apexMatch = codeUnit?.match(/^apex:\/\/([^/]+)\//)
+            if (apexMatch) summary.apexClass = apexMatch[1]
+            break
+          }
+          case "USER_INFO": {
+            const user = event.fields.find((field) => field.includes("@"))
+            if (user) summary.userInfo = user
+            summary.systemEvents.push({ ...entry, event: text, type: "system" })
+            break
+          }
+          case "ENTERING_MANAGED_PKG":
+            summary.systemEvents.push({ ...entry, event: text, type: "system" })
+            break
+          case "CALLOUT_REQUEST":
+          case "CALLOUT_RESPONSE":
+            summary.webserviceCalls.push({ ...entry, callout: text, type: "callout" })
+            break
+          case "DML_BEGIN":
+          case "DML_END":
+            summary.dmlOperations.push({ ...entry, operation: text, type: "dml" })
+            break
+          case "SOQL_EXECUTE_BEGIN":
+          case "SOQL_EXECUTE_END":
+            summary.soqlQueries.push({ ...entry, query: text, type: "soql" })
+            break
+          case "LIMIT_USAGE_FOR_NS":
+          case "CUMULATIVE_LIMIT_USAGE":
+            this.applyLimitUsage(summary.performance, event.extraLines)
+            break
+        }
+
+        // Commerce specific events - matched on typed fields, not whole lines
+        if (this.isCommerceCandidate(event)) {
+          if (/checkout/i.test(event.message)) {
+            summary.checkoutEvents.push({ ...entry, event: event.message, type: "checkout" })
+          }
+          if (/payment/i.test(event.message)) {
+            summary.paymentEvents.push({ ...entry, event: event.message, type: "payment" })
+          }
+          if (/cart/i.test(event.message)) {
+            summary.cartEvents.push({ ...entry, event: event.message, type: "cart" })
+          }
+        }
+
+        if (/\/webruntime\/|\/commerce\/|\/services\/data\//.test(event.message)) {
+          summary.apiCalls.push({ ...entry, call: event.message, type: "api" })
+        }
+      })
+
+      const execution = parsedLog.tree.children.find((node) => node.type === "EXECUTION_STARTED")
+      const totalNanos = execution ? execution.duration : parsedLog.tree.duration
+      summary.performance.totalTime = Math.round(totalNanos / 1e6)
+
+      return summary
+    }
+
+    isCommerceCandidate(event) {
+      return [
+        "CODE_UNIT_STARTED",
+        "METHOD_ENTRY",
+        "CONSTRUCTOR_ENTRY",
+        "USER_DEBUG",
+        "CALLOUT_REQUEST",
+        "EXCEPTION_THROWN",
+        "FATAL_ERROR",
+      ].includes(event.type)
+    }
+
+    // "  Number of SOQL queries: 3 out of 100" - keep the highest value across namespaces
+    applyLimitUsage(performance, lines) {
+      const limits = {
+        soqlQueries: /Number of SOQL queries:\s*(\d+)/,
+        dmlStatements: /Number of DML statements:\s*(\d+)/,
+        cpuTime: /Maximum CPU time:\s*(\d+)/,
+        heapSize: /Maximum heap size:\s*(\d+)/,
+      }
+
+      lines.forEach((line) => {
+        for (const [key, pattern] of Object.entries(limits)) {
+          const match = line.match(pattern)
+          if (match) {
+            performance[key] = Math.max(performance[key], Number.parseInt(match[1]))
+          }
+        }
+      })
+    }
+
+    // Flat summary - the shape stored as log.parsed. The execution tree is several times the body's size,
+    // so views that need it parse the body again.
+    parseSummary(logBody) {
+      if (!logBody) return null
+      return this.summarize(this.parse(logBody))
+    }
+
+    // ApexLog-shaped record for a raw .log file (Developer Console download or `sf apex get log`)
+    // options: { fileName, referenceTimes, utcOffsetMinutes }
+    toLogRecord(logBody, options = {}) {
+      const parsedLog = this.parse(logBody)
+      if (parsedLog.events.length === 0) {
+        throw new Error("No Apex log events found")
+      }
+
+      const summary = this.summarize(parsedLog)
+      const startEvent = parsedLog.events.find((event) => event.type === "EXECUTION_STARTED") || parsedLog.events[0]
+      const fatalError = parsedLog.events.find((event) => event.type === "FATAL_ERROR")
+      const idMatch = options.fileName?.match(LOG_ID_FILE_NAME)
+      const utcOffsetMinutes = options.utcOffsetMinutes ?? this.getUserUtcOffset(parsedLog)
+
+      return {
+        Id: idMatch ? idMatch[1] : `file-${this.hashBody(logBody)}`,
+        StartTime: new Date(
+          this.inferStartTime(startEvent.timestamp, options.referenceTimes || [], utcOffsetMinutes),
+        ).toISOString(),
+        DurationMilliseconds: summary.performance.totalTime,
+        Operation: summary.codeUnits[0] || "Imported log",
+        Request: "File",
+        Status: fatalError ? fatalError.message : "Success",
+        LogLength: logBody.length,
+        LogUser: summary.userInfo ? { Name: summary.userInfo } : null,
+        body: logBody,
+        parsed: summary,
+        imported: true,
+        fileName: options.fileName || null,
+      }
+    }
+
+    // Log lines carry only a time of day, in the logging user's time zone. Place it on the day that
+    // brings it closest to one of the reference times (the session's calls, or the file's date).
+    inferStartTime(timeOfDay, referenceTimes, utcOffsetMinutes = null) {
+      const [hours, minutes, seconds] = timeOfDay.split(":").map(Number.parseFloat)
+      const references = referenceTimes.length > 0 ? referenceTimes : [Date.now()]
+      const offsetMs = utcOffsetMinutes === null || utcOffsetMinutes === undefined ? null : utcOffsetMinutes * 60000
+
+      let best = null
+      references.forEach((reference) => {
+        ;[-1, 0, 1].forEach((dayShift) => {
+          let candidate
+          if (offsetMs === null) {
+            const day = new Date(reference + dayShift * DAY_MS)
+            candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes, 0, seconds * 1000).getTime()
+          } else {
+            const day = new Date(reference + offsetMs + dayShift * DAY_MS)
+            candidate =
+              Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes, 0, seconds * 1000) - offsetMs
+          }
+
+          const distance = Math.abs(candidate - reference)
+          if (!best || distance < best.distance) best = { candidate, distance }
+        })
+      })
+
+      return best.candidate
+    }
+
+    // USER_INFO|[EXTERNAL]|005...|user@example.com|(GMT-05:00) Eastern Standard Time|GMT-05:00
+    getUserUtcOffset(parsedLog) {
+      const userInfo = parsedLog.events.find((event) => event.type === "USER_INFO")
+      const match = userInfo?.fields[userInfo.fields.length - 1]?.match(/^GMT([+-])(\d{2}):(\d{2})$/)
+      if (!match) return null
+      return (match[1] === "-" ? -1 : 1) * (Number.parseInt(match[2]) * 60 + Number.parseInt(match[3]))
+    }
+
+    // Stable ID so importing the same file twice does not duplicate it
+    hashBody(logBody) {
+      let hash = 5381
+      for (let i = 0; i < logBody.length; i++) {
+        hash = ((hash << 5) + hash + logBody.charCodeAt(i)) | 0
+      }
+      return (hash >>> 0).toString(36)
+    }
+  }
+
+  // Export for use in content script, popup and analyzers
+  window.ApexLogParser = ApexLogParser
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("ApexLogParserReady", {
+      detail: { ApexLogParser },
+    }),
+  )
+})()
@@ -0,0 +1,219 @@
+// Aura/webruntime action decoder - splits batched Lightning actions into one call per Apex action
+;(() => {
+
+  const AURA_URL = /\/s\/sfsites\/aura(?:[/?#]|$)|\/aura(?:\?|$)/
+  const APEX_EXECUTE_URL = /\/webruntime\/api\/apex\/execute(?:[/?#]|$)/
+
+  // apex://CheckoutController/ACTION$placeOrder
+  const APEX_DESCRIPTOR = /^apex:\/\/([^/]+)\/ACTION\$(.+)$/
+
+  // Generic Apex controller used by LWC @wire/imperative calls inside Aura batches
+  const APEX_ACTION_CONTROLLER = "aura://ApexActionController/ACTION$execute"
+
+  class AuraActionDecoder {
+    canDecode(call) {
+      // Decoded actions and batches that were already split are left alone
+      if (!call || !call.url || call.actionType || call.actionCount) return false
+      return AURA_URL.test(call.url) || APEX_EXECUTE_URL.test(call.url)
+    }
+
+    // Returns one call per action, or null when the body cannot be decoded
+    decode(call) {
+      if (!this.canDecode(call)) return null
+
+      try {
+        const actions = APEX_EXECUTE_URL.test(call.url) ? this.decodeApexExecute(call) : this.decodeAuraBatch(call)
+        return actions && actions.length > 0 ? actions : null
+      } catch (error) {
+        console.warn("Failed to decode action batch:", error)
+        return null
+      }
+    }
+
+    // POST /webruntime/api/apex/execute with { namespace, classname, method, params }
+    decodeApexExecute(call) {
+      const body = this.parseJson(call.requestBody)
+      if (!body || !body.classname || !body.method) return null
+
+      const response = this.parseJson(call.response)
+      const failed = call.status >= 400 || call.status === 0
+      const errors = failed ? this.collectErrors(response, call.error) : []
+
+      return [
+        this.createActionCall(call, {
+          actionType: "apex",
+          actionId: null,
+          index: 0,
+          namespace: body.namespace || null,
+          classname: body.classname,
+          methodName: body.method,
+          descriptor: null,
+          params: body.params || {},
+          state: failed ? "ERROR" : "SUCCESS",
+          returnValue: failed ? null : response && "returnValue" in response ? response.returnValue : response,
+          errors,
+          status: call.status,
+        }),
+      ]
+    }
+
+    // POST /s/sfsites/aura with message={"actions":[...]} and a matching { actions: [...] } response
+    decodeAuraBatch(call) {
+      const fields = this.parseFormBody(call.requestBody)
+      const message = this.parseJson(fields?.message)
+      if (!message || !Array.isArray(message.actions)) return null
+
+      const response = this.parseJson(this.stripAuraPrefix(call.response))
+      const results = new Map((response?.actions || []).map((result) => [result.id, result]))
+
+      return message.actions.map((action, index) => {
+        const target = this.resolveTarget(action)
+        const result = results.get(action.id) || null
+        const state = result?.state || (call.status >= 400 || call.status === 0 ? "ERROR" : "INCOMPLETE")
+        const errors = state === "SUCCESS" ? [] : this.collectErrors(result, state === "ERROR" ? call.error : null)
+
+        return this.createActionCall(call, {
+          actionType: "aura",
+          actionId: action.id || null,
+          index,
+          namespace: target.namespace,
+          classname: target.classname,
+          methodName: target.methodName,
+          descriptor: action.descriptor || null,
+          params: target.params,
+          state,
+          returnValue: result ? result.returnValue : null,
+          errors,
+          // Each action succeeds or fails independently of the batch's HTTP status
+          status: state === "SUCCESS" ? call.status : state === "ERROR" ? 500 : 0,
+        })
+      })
+    }
+
+    // Unwrap ApexActionController.execute to the Apex class and method it invokes
+    resolveTarget(action) {
+      const params = action.params || {}
+
+      if (action.descriptor === APEX_ACTION_CONTROLLER && params.classname) {
+        return {
+          namespace: params.namespace || null,
+          classname: params.classname,
+          methodName: params.method,
+          params: params.params || {},
+        }
+      }
+
+      const apexMatch = action.descriptor?.match(APEX_DESCRIPTOR)
+      if (apexMatch) {
+        return { namespace: null, classname: apexMatch[1], methodName: apexMatch[2], params }
+      }
+
+      // serviceComponent://ui.force.components.controllers.recordGlobalValueProvider...ACTION$getRecord
+      const [controller, methodName] = (action.descriptor || "unknown").split("/ACTION$")
+      return {
+        namespace: null,
+        classname: controller.replace(/^[a-zA-Z]+:\/\//, ""),
+        methodName: methodName || "unknown",
+        params,
+      }
+    }
+
+    createActionCall(call, action) {
+      const name = `${action.classname}.${action.methodName}`
+
+      return {
+        url: `apex://${action.classname}/${action.methodName}`,
+        urlName: name,
+        method: call.method,
+        credentials: call.credentials,
+        status: action.status,
+        duration: call.duration,
+        timestamp: call.timestamp,
+        serverDate: call.serverDate || null,
+        requestId: call.requestId || null,
+        requestHeaders: call.requestHeaders || {},
+        responseHeaders: call.responseHeaders || {},
+        requestBody: action.params,
+        requestBodyType: "json",
+        responseBody: action.returnValue,
+        response: action.errors.length > 0 ? { returnValue: action.returnValue, errors: action.errors } : action.returnValue,
+        error: action.errors.length > 0 ? action.errors.map((error) => error.message).join("; ") : undefined,
+        actionType: action.actionType,
+        actionId: action.actionId,
+        actionIndex: action.index,
+        actionState: action.state,
+        actionDescriptor: action.descriptor,
+        namespace: action.namespace,
+        classname: action.classname,
+        methodName: action.methodName,
+        parentUrl: call.url,
+        parentId: this.getBatchId(call),
+        // Identical actions in one batch would otherwise share a correlation key
+        id: `${call.method} ${call.url} ${call.timestamp} #${action.index}`,
+      }
+    }
+
+    // Same key the correlation engine and HAR converter use for calls without an id
+    getBatchId(call) {
+      return call.id || `${call.method} ${call.url} ${call.timestamp}`
+    }
+
+    // Aura and webruntime errors come as [{ message, exceptionType, stackTrace }] or { message }
+    collectErrors(result, fallbackMessage) {
+      const source = result?.error || result?.errors || (result?.message ? [result] : [])
+      const errors = (Array.isArray(source) ? source : [source])
+        .map((error) => ({
+          message: error?.message || error?.event?.attributes?.values?.message || String(error),
+          exceptionType: error?.exceptionType || error?.errorCode || null,
+          stackTrace: error?.stackTrace || null,
+        }))
+        .filter((error) => error.message)
+
+      if (errors.length === 0 && fallbackMessage) {
+        errors.push({ message: fallbackMessage, exceptionType: null, stackTrace: null })
+      }
+      return errors
+    }
+
+    // The interceptor hands over urlencoded bodies as objects; raw strings still need splitting
+    parseFormBody(body) {
+      if (!body) return null
+      if (typeof body === "object") return body
+
+      const fields = {}
+      new URLSearchParams(body).forEach((value, name) => {
+        fields[name] = value
+      })
+      return fields
+    }
+
+    parseJson(value) {
+      if (value === null || value === undefined) return null
+      if (typeof value !== "string") return value
+      try {
+        return JSON.parse(value)
+      } catch (error) {
+        return null
+      }
+    }
+
+    // Aura guards some responses with while(1); or wraps errors in */ ... /*ERROR*/
+    stripAuraPrefix(response) {
+      if (typeof response !== "string") return response
+      return response
+        .replace(/^\s*while\(1\);\s*/, "")
+        .replace(/^\s*\*\//, "")
+        .replace(/\/\*ERROR\*\/\s*$/, "")
+    }
+  }
+
+  // Export for use in content script
+  window.AuraActionDecoder = AuraActionDecoder
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("AuraActionDecoderReady", {
+      detail: { AuraActionDecoder },
+    }),
+  )
+})()
@@ -0,0 +1,261 @@
+// Cart reconciler - tracks cart summary totals across checkout responses and flags inconsistencies
+;(() => {
+
+  // Normalized total -> Commerce cartSummary field
+  const TOTAL_FIELDS = {
+    subtotal: "totalProductAmount",
+    shipping: "totalChargeAmount",
+    tax: "totalTaxAmount",
+    promotions: "totalPromotionalAdjustmentAmount",
+    grandTotal: "grandTotalAmount",
+  }
+
+  const TOTAL_LABELS = {
+    subtotal: "Subtotal",
+    shipping: "Shipping",
+    tax: "Tax",
+    promotions: "Promotions",
+    grandTotal: "Grand Total",
+    currency: "Currency",
+  }
+
+  // ISO 4217 minor units that differ from the usual two decimals
+  const CURRENCY_DIGITS = {
+    JPY: 0,
+    KRW: 0,
+    CLP: 0,
+    ISK: 0,
+    VND: 0,
+    BHD: 3,
+    JOD: 3,
+    KWD: 3,
+    OMR: 3,
+    TND: 3,
+  }
+
+  class CartReconciler {
+    constructor() {
+      this.snapshots = []
+      this.findings = []
+      this.findingKeys = new Set()
+    }
+
+    // Replay analyzed calls in capture order; returns { snapshots, findings }
+    reconcile(analyzedCalls, analyzer) {
+      this.snapshots = []
+      this.findings = []
+      this.findingKeys = new Set()
+
+      let previous = null
+      // Calls that could legitimately move totals since they last settled
+      let triggers = []
+      let pendingAddress = null
+
+      analyzedCalls.forEach((call, callIndex) => {
+        if (!call) return
+
+        const requirementKeys = call.isSuccessful && analyzer ? analyzer.getRequirementKeys(call) : []
+        if (this.isTrigger(call, requirementKeys)) triggers.push(callIndex)
+
+        if (requirementKeys.includes("shippingAddress") && previous) {
+          this.resolveAddressChange(pendingAddress)
+          pendingAddress = { call, callIndex, taxBefore: previous.totals.tax, unchangedSnapshot: null }
+        }
+
+        const totals = this.extractTotals(call)
+        if (!totals) return
+
+        const snapshot = {
+          callIndex,
+          timestamp: call.timestamp,
+          call: { method: call.method, url: call.url, status: call.status },
+          totals,
+          diff: this.diffTotals(previous?.totals, totals),
+        }
+        this.snapshots.push(snapshot)
+
+        this.checkComponents(snapshot)
+        this.checkPrecision(snapshot)
+
+        if (previous) {
+          if (previous.totals.currency && totals.currency && previous.totals.currency !== totals.currency) {
+            this.addFinding("CURRENCY_MISMATCH", "error", snapshot, `${previous.totals.currency}->${totals.currency}`, {
+              title: "Currency changed mid-checkout",
+              message: `Cart currency changed from ${previous.totals.currency} to ${totals.currency}.`,
+            })
+          }
+
+          if (snapshot.diff.length === 0 && !triggers.includes(callIndex) && call.status !== 202) {
+            // Totals settled - anything after this needs a new trigger. The triggering call's own
+            // response and 202 polls can still predate an async recalculation.
+            triggers = []
+          } else if (triggers.length === 0 && snapshot.diff.length > 0) {
+            this.addFinding("UNEXPLAINED_TOTAL_CHANGE", "warning", snapshot, snapshot.callIndex, {
+              title: "Totals changed without a triggering call",
+              message: `${snapshot.diff.map((change) => TOTAL_LABELS[change.field]).join(", ")} changed with no cart or checkout update since the last stable totals.`,
+            })
+          }
+        }
+
+        if (pendingAddress && totals.tax !== null && pendingAddress.taxBefore !== null) {
+          if (totals.tax !== pendingAddress.taxBefore) {
+            pendingAddress = null
+          } else if (!pendingAddress.unchangedSnapshot) {
+            pendingAddress.unchangedSnapshot = snapshot
+          }
+        }
+
+        previous = snapshot
+      })
+
+      this.resolveAddressChange(pendingAddress)
+
+      return { snapshots: this.snapshots, findings: this.findings }
+    }
+
+    isTrigger(call, requirementKeys) {
+      if (requirementKeys.length > 0) return true
+      return !!call.method && !["GET", "HEAD", "OPTIONS"].includes(call.method.toUpperCase())
+    }
+
+    // Tax stayed the same in every response after the address changed
+    resolveAddressChange(pendingAddress) {
+      if (!pendingAddress || !pendingAddress.unchangedSnapshot) return
+
+      const step = {
+        callIndex: pendingAddress.callIndex,
+        timestamp: pendingAddress.call.timestamp,
+        call: { method: pendingAddress.call.method, url: pendingAddress.call.url, status: pendingAddress.call.status },
+      }
+      this.addFinding("TAX_UNCHANGED_AFTER_ADDRESS", "warning", step, pendingAddress.callIndex, {
+        title: "Tax unchanged after address change",
+        message: `Tax stayed at ${pendingAddress.taxBefore} after the shipping address changed; it may not have been recalculated.`,
+      })
+    }
+
+    // Checkout responses nest the summary; cart responses carry the totals at the top level
+    extractTotals(call) {
+      const response = call.response
+      if (!response || typeof response !== "object") return null
+
+      const summary = call.cartSummary || response.cartSummary || (response.grandTotalAmount !== undefined ? response : null)
+      if (!summary || summary.grandTotalAmount === undefined) return null
+
+      const totals = { currency: summary.currencyIsoCode || null, raw: {} }
+      for (const [field, sourceField] of Object.entries(TOTAL_FIELDS)) {
+        totals.raw[field] = summary[sourceField]
+        totals[field] = this.toAmount(summary[sourceField])
+      }
+      return totals
+    }
+
+    toAmount(value) {
+      if (value === undefined || value === null || value === "") return null
+      const amount = Number(value)
+      return Number.isFinite(amount) ? amount : null
+    }
+
+    getCurrencyDigits(currency) {
+      return CURRENCY_DIGITS[currency] !== undefined ? CURRENCY_DIGITS[currency] : 2
+    }
+
+    diffTotals(before, after) {
+      if (!before) return []
+
+      return [...Object.keys(TOTAL_FIELDS), "currency"]
+        .filter((field) => before[field] !== after[field])
+        .map((field) => ({
+          field,
+          label: TOTAL_LABELS[field],
+          before: before[field],
+          after: after[field],
+          delta:
+            typeof before[field] === "number" && typeof after[field] === "number"
+              ? this.round(after[field] - before[field], 6)
+              : null,
+        }))
+    }
+
+    // Grand total should equal subtotal + shipping + promotions (+ tax unless prices are tax inclusive)
+    checkComponents(snapshot) {
+      const { totals } = snapshot
+      if (totals.grandTotal === null || totals.subtotal === null) return
+
+      const digits = this.getCurrencyDigits(totals.currency)
+      const withoutTax = totals.subtotal + (totals.shipping || 0) + (totals.promotions || 0)
+      const expected = this.round(withoutTax + (totals.tax || 0), digits + 2)
+      const difference = this.round(totals.grandTotal - expected, digits + 2)
+
+      if (Math.abs(difference) < 1e-9) return
+      if (Math.abs(this.round(totals.grandTotal - withoutTax, digits + 2)) < 1e-9) return
+
+      // Off by a minor unit or two is a rounding problem, anything more is a real mismatch
+      const minorUnit = 10 ** -digits
+      const isRounding = Math.abs(difference) <= minorUnit * 2 + 1e-9
+      this.addFinding(
+        isRounding ? "ROUNDING_ERROR" : "TOTAL_MISMATCH",
+        isRounding ? "warning" : "error",
+        snapshot,
+        `${totals.grandTotal}|${expected}`,
+        {
+          title: isRounding ? "Grand total off by rounding" : "Grand total does not match its components",
+          message: `Grand total ${totals.grandTotal} but subtotal + shipping + promotions + tax = ${expected} (difference ${difference}${totals.currency ? ` ${totals.currency}` : ""}).`,
+        },
+      )
+    }
+
+    // Amounts with more decimals than the currency allows
+    checkPrecision(snapshot) {
+      const { totals } = snapshot
+      const digits = this.getCurrencyDigits(totals.currency)
+
+      Object.keys(TOTAL_FIELDS).forEach((field) => {
+        const amount = totals[field]
+        if (amount === null || this.round(amount, digits) === amount) return
+
+        this.addFinding("ROUNDING_ERROR", "warning", snapshot, `${field}|${amount}`, {
+          title: `${TOTAL_LABELS[field]} not rounded to currency precision`,
+          message: `${TOTAL_LABELS[field]} is ${totals.raw[field]} but ${totals.currency || "the currency"} uses ${digits} decimal places.`,
+        })
+      })
+    }
+
+    round(value, digits) {
+      const factor = 10 ** digits
+      return Math.round(value * factor) / factor
+    }
+
+    // Polling returns the same summary repeatedly - report each distinct problem once
+    addFinding(code, severity, step, key, details) {
+      const findingKey = `${code}:${key}`
+      if (this.findingKeys.has(findingKey)) return
+      this.findingKeys.add(findingKey)
+
+      this.findings.push({
+        code,
+        severity,
+        title: details.title,
+        message: details.message,
+        callIndex: step.callIndex,
+        timestamp: step.timestamp,
+        call: step.call,
+      })
+    }
+
+    getSnapshotForCall(callIndex) {
+      return this.snapshots.find((snapshot) => snapshot.callIndex === callIndex) || null
+    }
+  }
+
+  CartReconciler.TOTAL_LABELS = TOTAL_LABELS
+
+  // Export for use in content script
+  window.CartReconciler = CartReconciler
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("CartReconcilerReady", {
+      detail: { CartReconciler },
+    }),
+  )
+})()
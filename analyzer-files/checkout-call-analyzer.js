@@ -1,9 +1,44 @@
 // Enhanced checkout call analyzer with flexible configuration
 ;(() => {
 
+  // chrome.storage.local key holding user-defined call type definitions
+  const CUSTOM_TYPES_STORAGE_KEY = "customCallTypes"
+
+  const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"]
+
+  // Extracted fields recorded as the "what was set" for each checkout requirement
+  const REQUIREMENT_VALUE_FIELDS = {
+    shippingAddress: ["deliveryAddressId", "desiredDeliveryDate", "shippingInstructions", "addressDetails"],
+    billingAddress: ["billingAddress", "addressDetails"],
+    deliveryMethod: ["deliveryMethodId", "selectedMethod"],
+    inventory: ["productCount", "stockStatus"],
+    taxes: ["taxAmount"],
+    payment: ["paymentMethodId", "salesforceResultCode", "paymentErrors"],
+  }
+
+  const GRAPHQL_URL = /\/graphql(?:[/?#]|$)/i
+
+  // Operation/field names -> call type, most specific first
+  const GRAPHQL_STAGE_RULES = [
+    { callType: "orderPlacement", pattern: /place_?order|submit_?order|create_?order/i },
+    { callType: "payment", pattern: /payment|authoriz/i },
+    { callType: "taxes", pattern: /tax/i },
+    { callType: "deliveryMethod", pattern: /delivery_?method|delivery_?group|shipping_?(method|option)/i },
+    { callType: "address", pattern: /address/i },
+    { callType: "inventory", pattern: /inventory|availability|stock/i },
+    { callType: "checkout", pattern: /checkout|cart/i },
+  ]
+
+  // Selection-set wrappers that say nothing about what is being read (uiapi { query { WebCart ... } })
+  const GRAPHQL_WRAPPER_FIELDS = ["uiapi", "query", "aggregate", "edges", "node"]
+
+  // requestBody.giftCard.code, response.items[0].id
+  const KEY_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d+\])*$/
+
   class CheckoutCallAnalyzer {
     constructor() {
       this.callTypes = new Map()
+      this.customCallTypes = new Map() // name -> declarative definition, kept for export
       this.initializeDefaultTypes()
     }
 
@@ -171,6 +206,17 @@
         priority: 20, // High priority for order placement
       })
 
+      // GraphQL operations - analyzeGraphQLCall reclassifies them by operation into the types above
+      this.addCallType("graphql", {
+        urlPatterns: ["/graphql"],
+        methods: ["GET", "POST"],
+        stage: "graphql",
+        validators: {
+          isSuccessful: (call) => call.status < 400 && !call.response?.errors,
+        },
+        priority: 1,
+      })
+
       // Add this new call type for /active endpoint - should be HIGHEST priority
       this.addCallType("activeCheckout", {
         urlPatterns: ["/active"],
@@ -205,6 +251,14 @@
             const body = this.parseRequestBody(call.requestBody)
             return body?.contactInfo
           },
+          billingAddress: (call) => {
+            const body = this.parseRequestBody(call.requestBody)
+            return body?.billingAddress
+          },
+          paymentMethodId: (call) => {
+            const body = this.parseRequestBody(call.requestBody)
+            return body?.paymentMethodId
+          },
         },
         validators: {
           isSuccessful: (call) => call.status < 400 && !call.response?.errors,
@@ -225,7 +279,186 @@
         validators: config.validators || {},
         payloadMatchers: config.payloadMatchers || [],
         priority: config.priority || 0,
+        requirement: config.requirement || null,
+      })
+    }
+
+    /*
+     * Declarative call types - plain JSON, no code:
+     * {
+     *   name: "giftCard", stage: "payment", priority: 12, requirement: "payment",
+     *   urlPatterns: ["/gift-cards"], methods: ["POST"],
+     *   payloadKeys: ["giftCardCode"], responseKeys: ["balance"],
+     *   extractors: { code: "requestBody.giftCardCode", balance: ["response.balance", "response.amount"] },
+     *   success: { maxStatus: 399, responsePaths: ["balance"], absentResponsePaths: ["errors"] }
+     * }
+     * As with the built-in types, a payload/response key match classifies a call even off its URL patterns.
+     */
+    static validateCallTypeDefinition(definition) {
+      const errors = []
+      const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === "string" && item)
+      const isPathList = (value) => isStringArray(value) && value.every((path) => KEY_PATH.test(path))
+
+      if (!definition || typeof definition !== "object") {
+        return ["Call type must be an object"]
+      }
+
+      if (typeof definition.name !== "string" || !/^[A-Za-z][\w-]{0,39}$/.test(definition.name)) {
+        errors.push("name must start with a letter and use up to 40 letters, digits, dashes or underscores")
+      }
+
+      if (definition.stage !== undefined && typeof definition.stage !== "string") {
+        errors.push("stage must be a string")
+      }
+
+      if (definition.requirement !== undefined && !REQUIREMENT_VALUE_FIELDS[definition.requirement]) {
+        errors.push(`requirement must be one of ${Object.keys(REQUIREMENT_VALUE_FIELDS).join(", ")}`)
+      }
+
+      if (definition.urlPatterns !== undefined && !isStringArray(definition.urlPatterns)) {
+        errors.push("urlPatterns must be a list of non-empty strings")
+      }
+
+      if (definition.methods !== undefined) {
+        if (!isStringArray(definition.methods) || definition.methods.some((m) => !HTTP_METHODS.includes(m.toUpperCase()))) {
+          errors.push(`methods must be a list of ${HTTP_METHODS.join(", ")}`)
+        }
+      }
+
+      ;["payloadKeys", "responseKeys"].forEach((field) => {
+        if (definition[field] !== undefined && !isStringArray(definition[field])) {
+          errors.push(`${field} must be a list of key names`)
+        }
+      })
+
+      if (!definition.urlPatterns?.length && !definition.payloadKeys?.length && !definition.responseKeys?.length) {
+        errors.push("At least one of urlPatterns, payloadKeys or responseKeys is required")
+      }
+
+      if (definition.extractors !== undefined) {
+        if (typeof definition.extractors !== "object" || Array.isArray(definition.extractors)) {
+          errors.push("extractors must map names to key paths")
+        } else {
+          Object.entries(definition.extractors).forEach(([key, paths]) => {
+            const pathList = Array.isArray(paths) ? paths : [paths]
+            if (!isPathList(pathList) || pathList.length === 0) {
+              errors.push(`Extractor "${key}" must be a key path like response.orderId (or a list of them)`)
+            }
+          })
+        }
+      }
+
+      if (definition.success !== undefined) {
+        const success = definition.success
+        if (typeof success !== "object" || Array.isArray(success)) {
+          errors.push("success must be an object")
+        } else {
+          if (success.maxStatus !== undefined && !Number.isInteger(success.maxStatus)) {
+            errors.push("success.maxStatus must be an integer")
+          }
+          ;["responsePaths", "absentResponsePaths"].forEach((field) => {
+            if (success[field] !== undefined && !isPathList(success[field])) {
+              errors.push(`success.${field} must be a list of key paths within the response`)
+            }
+          })
+        }
+      }
+
+      if (definition.priority !== undefined && !Number.isFinite(definition.priority)) {
+        errors.push("priority must be a number")
+      }
+
+      return errors
+    }
+
+    // Turn a validated definition into the config shape addCallType expects
+    compileCallTypeDefinition(definition) {
+      const payloadMatchers = []
+      if (definition.payloadKeys?.length) {
+        payloadMatchers.push((call) => this.hasPayloadKeys(call, definition.payloadKeys))
+      }
+      if (definition.responseKeys?.length) {
+        payloadMatchers.push((call) => this.hasResponseKeys(call, definition.responseKeys))
+      }
+
+      const extractors = {}
+      Object.entries(definition.extractors || {}).forEach(([key, paths]) => {
+        const pathList = Array.isArray(paths) ? paths : [paths]
+        extractors[key] = (call) =>
+          pathList.map((path) => this.getValueAtPath(call, path)).find((value) => value !== null && value !== undefined)
       })
+
+      const success = definition.success || {}
+      const maxStatus = success.maxStatus ?? 399
+
+      return {
+        urlPatterns: definition.urlPatterns || [],
+        methods: (definition.methods || HTTP_METHODS).map((method) => method.toUpperCase()),
+        stage: definition.stage,
+        payloadMatchers,
+        extractors,
+        validators: {
+          isSuccessful: (call) =>
+            call.status <= maxStatus &&
+            (success.responsePaths || []).every((path) => this.getValueAtPath(call, `response.${path}`) != null) &&
+            (success.absentResponsePaths || []).every((path) => this.getValueAtPath(call, `response.${path}`) == null),
+        },
+        priority: definition.priority || 0,
+        requirement: definition.requirement,
+      }
+    }
+
+    addCallTypeDefinition(definition) {
+      const errors = CheckoutCallAnalyzer.validateCallTypeDefinition(definition)
+      if (errors.length > 0) {
+        throw new Error(`Invalid call type "${definition?.name}": ${errors.join("; ")}`)
+      }
+
+      this.addCallType(definition.name, this.compileCallTypeDefinition(definition))
+      this.customCallTypes.set(definition.name, definition)
+    }
+
+    // Replace all previously loaded custom types; a custom type may override a default of the same name
+    loadCustomCallTypes(definitions = []) {
+      this.customCallTypes.forEach((_, name) => this.callTypes.delete(name))
+      this.customCallTypes.clear()
+      this.initializeDefaultTypes()
+
+      const result = { loaded: 0, errors: [] }
+      definitions.forEach((definition) => {
+        try {
+          this.addCallTypeDefinition(definition)
+          result.loaded++
+        } catch (error) {
+          result.errors.push({ name: definition?.name, error: error.message })
+        }
+      })
+
+      return result
+    }
+
+    // Accepts the export format, a bare array or a single definition (object or JSON text)
+    static parseCallTypesJson(json) {
+      const data = typeof json === "string" ? JSON.parse(json) : json
+      if (Array.isArray(data)) return data
+      if (Array.isArray(data?.callTypes)) return data.callTypes
+      if (data && typeof data === "object") return [data]
+      throw new Error("Expected a call type, a list of call types or { callTypes: [...] }")
+    }
+
+    exportCallTypes() {
+      return {
+        version: 1,
+        callTypes: Array.from(this.customCallTypes.values()),
+        exportTime: new Date().toISOString(),
+      }
+    }
+
+    // requestBody paths read the parsed body, everything else reads the captured call as-is
+    getValueAtPath(call, path) {
+      const [root, ...rest] = path.match(/[^.[\]]+/g) || []
+      const start = root === "requestBody" ? this.parseRequestBody(call.requestBody) : call[root]
+      return rest.reduce((value, segment) => (value == null ? undefined : value[segment]), start)
     }
 
     // Analyze a network call and enhance it with extracted data
@@ -234,6 +467,15 @@
       const enhancedCall = { ...callData }
       const matchedTypes = []
 
+      // A split batch is not a checkout step itself; its actions are analyzed as their own calls
+      if (callData.actionCount) return enhancedCall
+
+      // Every GraphQL call shares one URL - classify by operation unless a custom type claims it
+      const graphql = this.parseGraphQL(callData)
+      if (graphql && !this.matchesCustomType(callData)) {
+        return this.analyzeGraphQLCall(enhancedCall, graphql)
+      }
+
       // Find all matching call types
       for (const [typeName, typeConfig] of this.callTypes) {
         if (this.matchesCallType(callData, typeConfig)) {
@@ -279,6 +521,185 @@
       return enhancedCall
     }
 
+    matchesCustomType(callData) {
+      return [...this.customCallTypes.keys()].some((name) => this.matchesCallType(callData, this.callTypes.get(name)))
+    }
+
+    analyzeGraphQLCall(enhancedCall, graphql) {
+      const callType = this.classifyGraphQL(graphql)
+
+      enhancedCall.callType = callType
+      enhancedCall.checkoutStage = this.callTypes.get(callType).stage
+      enhancedCall.graphql = graphql
+      enhancedCall.operationName = graphql.operationName
+      enhancedCall.operationType = graphql.operationType
+      enhancedCall.graphqlVariables = graphql.variables
+      enhancedCall.graphqlErrors = graphql.errors
+      if (callType === "address") {
+        const names = [graphql.operationName, ...graphql.rootFields].join(" ")
+        enhancedCall.addressType = /billing/i.test(names) ? "billing" : "shipping"
+      }
+      // Partial errors arrive with HTTP 200 alongside data
+      enhancedCall.isSuccessful = enhancedCall.status < 400 && graphql.errors.length === 0
+
+      return enhancedCall
+    }
+
+    // Operation name first, then root fields, then the objects read through uiapi wrappers
+    classifyGraphQL(graphql) {
+      const tiers = [[graphql.operationName || ""], graphql.rootFields, graphql.objectFields]
+
+      for (const names of tiers) {
+        const rule = GRAPHQL_STAGE_RULES.find(({ pattern }) => names.some((name) => pattern.test(name)))
+        if (rule) return rule.callType
+      }
+      return "graphql"
+    }
+
+    // { query, operationName, variables } in the body (or the query string for GET), possibly batched
+    parseGraphQL(callData) {
+      const url = callData.url || ""
+      const body = callData.requestBody
+      const onGraphQLUrl = GRAPHQL_URL.test(url)
+      const isGraphQLBody = body && typeof body === "object" && (typeof body.query === "string" || Array.isArray(body))
+      if (!onGraphQLUrl && !isGraphQLBody) return null
+
+      let payload = isGraphQLBody ? body : null
+      if (!payload && typeof body === "string") {
+        payload = this.parseRequestBody(body)
+      }
+      if (!payload && callData.method?.toUpperCase() === "GET") {
+        payload = this.parseGraphQLQueryString(url)
+      }
+
+      const requests = (Array.isArray(payload) ? payload : [payload]).filter(
+        (request) => request && typeof request.query === "string",
+      )
+      if (requests.length === 0) return null
+      // Elsewhere a `query` string (a search term, a SOQL query) only counts if it is a GraphQL operation
+      if (!onGraphQLUrl && !requests.every((request) => this.isGraphQLOperation(request.query))) return null
+
+      const operations = requests.map((request) => this.parseGraphQLOperation(request))
+      const responses = Array.isArray(callData.response) ? callData.response : [callData.response]
+      const errors = responses
+        .flatMap((response) => (Array.isArray(response?.errors) ? response.errors : []))
+        .map((error) => ({
+          message: error?.message || String(error),
+          path: Array.isArray(error?.path) ? error.path.join(".") : null,
+          extensions: error?.extensions || null,
+        }))
+
+      // A batch is labelled by its first mutation, since that is what changes checkout state
+      const primary = operations.find((operation) => operation.operationType === "mutation") || operations[0]
+
+      return {
+        ...primary,
+        operations,
+        errors,
+        hasData: responses.some((response) => response?.data),
+      }
+    }
+
+    parseGraphQLQueryString(url) {
+      try {
+        const params = new URL(url, "https://localhost").searchParams
+        if (!params.get("query")) return null
+
+        return {
+          query: params.get("query"),
+          operationName: params.get("operationName"),
+          variables: this.parseRequestBody(params.get("variables")) || {},
+        }
+      } catch (error) {
+        return null
+      }
+    }
+
+    parseGraphQLOperation(request) {
+      const source = this.stripGraphQLSource(request.query)
+      const definition = this.findGraphQLOperation(source)
+      const header = definition.header.match(/^(query|mutation|subscription)\b\s*([A-Za-z_]\w*)?/)
+      const fields = definition.start >= 0 ? this.getGraphQLFields(source, definition.start) : []
+
+      return {
+        operationName: request.operationName || header?.[2] || null,
+        // A bare { ... } selection is shorthand for a query
+        operationType: header ? header[1] : "query",
+        query: request.query,
+        variables: request.variables || {},
+        rootFields: fields.filter((field) => field.depth === 1).map((field) => field.name),
+        objectFields: fields
+          .filter((field) => field.depth > 1 && field.parents.every((parent) => GRAPHQL_WRAPPER_FIELDS.includes(parent)))
+          .map((field) => field.name),
+      }
+    }
+
+    isGraphQLOperation(query) {
+      const { header, start } = this.findGraphQLOperation(this.stripGraphQLSource(query))
+      return start >= 0 && /^(?:(?:query|mutation|subscription)\b[^{}]*)?$/.test(header)
+    }
+
+    // Comments removed and string contents emptied, so braces inside them are not counted
+    stripGraphQLSource(query) {
+      return query.replace(/#[^\n]*/g, "").replace(/"(?:\\.|[^"\\])*"/g, '""')
+    }
+
+    // First top-level definition that is not a fragment: its header text and opening brace
+    findGraphQLOperation(source) {
+      let depth = 0
+      let headerStart = 0
+
+      for (let i = 0; i < source.length; i++) {
+        if (source[i] === "{") {
+          if (depth === 0) {
+            const header = source.slice(headerStart, i).trim()
+            if (!header.startsWith("fragment")) return { header, start: i }
+          }
+          depth++
+        } else if (source[i] === "}") {
+          depth--
+          if (depth === 0) headerStart = i + 1
+        }
+      }
+
+      return { header: "", start: -1 }
+    }
+
+    // Field names with their nesting depth, skipping arguments, aliases, directives and fragment spreads
+    getGraphQLFields(source, start, maxDepth = 3) {
+      const fields = []
+      const path = []
+      let depth = 0
+      let parens = 0
+      let lastField = null
+
+      for (let i = start; i < source.length; i++) {
+        const char = source[i]
+
+        if (char === "(") parens++
+        else if (char === ")") parens--
+        else if (parens > 0) continue
+        else if (char === "{") {
+          depth++
+          if (depth > 1) path.push(lastField)
+        } else if (char === "}") {
+          depth--
+          if (depth === 0) break
+          path.pop()
+        } else if (char === "." || char === "@") {
+          const skip = source.slice(i).match(/^(?:\.\.\.\s*(?:on\s+)?|@)[A-Za-z_]\w*/)
+          if (skip) i += skip[0].length - 1
+        } else if (/[A-Za-z_]/.test(char)) {
+          const match = source.slice(i).match(/^([A-Za-z_]\w*)(?:\s*:\s*([A-Za-z_]\w*))?/)
+          lastField = match[2] || match[1]
+          if (depth <= maxDepth) fields.push({ name: lastField, depth, parents: [...path] })
+          i += match[0].length - 1
+        }
+      }
+
+      return fields
+    }
+
     // Update the matchesCallType method to include payload matching
     matchesCallType(callData, typeConfig) {
       const url = callData.url.toLowerCase()
@@ -315,7 +736,7 @@
       // For payload-based matching, allow payload match to override URL requirement
       const finalMatch =
         (urlMatches && methodMatches && payloadMatches) ||
-        (typeConfig.payloadMatchers && payloadMatches && methodMatches)
+        (typeConfig.payloadMatchers.length > 0 && payloadMatches && methodMatches)
 
       
       return finalMatch
@@ -402,7 +823,6 @@
 
       switch (analyzedCall.callType) {
         case "payment":
-          updated.payment = analyzedCall.isSuccessful
           if (!analyzedCall.isSuccessful && analyzedCall.paymentErrors) {
             updated.paymentError = {
               errors: analyzedCall.paymentErrors,
@@ -413,7 +833,6 @@
           break
 
         case "deliveryMethod":
-          updated.deliveryMethod = analyzedCall.isSuccessful
           if (analyzedCall.selectedMethod) {
             updated.selectedDeliveryMethod = analyzedCall.selectedMethod
           }
@@ -424,27 +843,17 @@
 
         case "address":
           const addressType = analyzedCall.addressType
-          if (addressType === "shipping") {
-            updated.shippingAddress = analyzedCall.isSuccessful
-          } else if (addressType === "billing") {
-            updated.billingAddress = analyzedCall.isSuccessful
-          }
           if (analyzedCall.addressDetails) {
             updated[`${addressType}AddressDetails`] = analyzedCall.addressDetails
           }
           break
 
         case "taxes":
-          updated.taxes = analyzedCall.isSuccessful
           if (analyzedCall.taxAmount) {
             updated.taxAmount = analyzedCall.taxAmount
           }
           break
 
-        case "inventory":
-          updated.inventory = analyzedCall.isSuccessful
-          break
-
         case "checkout":
           if (analyzedCall.checkoutId) {
             updated.checkoutId = analyzedCall.checkoutId
@@ -457,47 +866,117 @@
         case "activeCheckout":
           const updateType = analyzedCall.updateType
 
-          if (
-            updateType.includes("delivery-address") ||
-            updateType === "delivery-date" ||
-            updateType === "shipping-instructions"
-          ) {
-            updated.shippingAddress = analyzedCall.isSuccessful
-            if (analyzedCall.deliveryAddressId) {
-              updated.deliveryAddressId = analyzedCall.deliveryAddressId
-            }
-            if (analyzedCall.desiredDeliveryDate) {
-              updated.desiredDeliveryDate = analyzedCall.desiredDeliveryDate
-            }
+          if (analyzedCall.deliveryAddressId) {
+            updated.deliveryAddressId = analyzedCall.deliveryAddressId
           }
-
-          if (updateType === "delivery-method") {
-            updated.deliveryMethod = analyzedCall.isSuccessful
-            if (analyzedCall.deliveryMethodId) {
-              updated.selectedDeliveryMethodId = analyzedCall.deliveryMethodId
-            }
+          if (analyzedCall.desiredDeliveryDate) {
+            updated.desiredDeliveryDate = analyzedCall.desiredDeliveryDate
+          }
+          if (updateType === "delivery-method" && analyzedCall.deliveryMethodId) {
+            updated.selectedDeliveryMethodId = analyzedCall.deliveryMethodId
           }
 
           if (updateType === "contact-info") {
-            updated.contactInfo = analyzedCall.isSuccessful
+            updated.contactInfo = !!analyzedCall.isSuccessful
             if (analyzedCall.contactInfo) {
               updated.contactDetails = analyzedCall.contactInfo
             }
           }
 
-          if (updateType === "payment-info") {
-            updated.payment = analyzedCall.isSuccessful
-          }
-
           // Store the specific update type for debugging
           updated.lastActiveUpdateType = updateType
           
           break
       }
 
+      // Requirement completion, with the values that were set and the call that set them
+      const requirements = { ...(updated.requirements || {}) }
+      this.getRequirementUpdates(analyzedCall).forEach((update) => {
+        updated[update.key] = update.complete
+        requirements[update.key] = {
+          complete: update.complete,
+          values: update.values,
+          callType: analyzedCall.callType,
+          call: {
+            method: analyzedCall.method,
+            url: analyzedCall.url,
+            status: analyzedCall.status,
+            timestamp: analyzedCall.timestamp,
+          },
+        }
+      })
+      updated.requirements = requirements
+
       return updated
     }
 
+    // Which checkout requirements an analyzed call touches
+    getRequirementKeys(analyzedCall) {
+      const typeConfig = this.callTypes.get(analyzedCall.callType)
+      if (!typeConfig) return []
+      // GraphQL reads are classified by stage but only mutations set anything
+      if (analyzedCall.graphql && analyzedCall.operationType !== "mutation") return []
+      if (typeConfig.requirement) return [typeConfig.requirement]
+
+      switch (analyzedCall.callType) {
+        case "payment":
+          return ["payment"]
+        case "deliveryMethod":
+          return ["deliveryMethod"]
+        case "address":
+          if (analyzedCall.addressType === "shipping") return ["shippingAddress"]
+          if (analyzedCall.addressType === "billing") return ["billingAddress"]
+          return []
+        case "taxes":
+          return ["taxes"]
+        case "inventory":
+          return ["inventory"]
+        case "activeCheckout": {
+          const updateType = analyzedCall.updateType || ""
+          if (
+            updateType.includes("delivery-address") ||
+            updateType === "delivery-date" ||
+            updateType === "shipping-instructions"
+          ) {
+            return ["shippingAddress"]
+          }
+          if (updateType === "delivery-method") return ["deliveryMethod"]
+          if (updateType === "payment-info") {
+            const body = this.parseRequestBody(analyzedCall.requestBody) || {}
+            const keys = []
+            if (body.billingAddress) keys.push("billingAddress")
+            if (body.paymentMethodId || body.paymentDetails) keys.push("payment")
+            return keys
+          }
+          return []
+        }
+        default:
+          return []
+      }
+    }
+
+    getRequirementUpdates(analyzedCall) {
+      const typeConfig = this.callTypes.get(analyzedCall.callType)
+
+      return this.getRequirementKeys(analyzedCall).map((key) => {
+        // Custom types record everything they extract; GraphQL mutations record what they sent
+        const fields = this.customCallTypes.has(analyzedCall.callType)
+          ? Object.keys(typeConfig.extractors)
+          : analyzedCall.graphql
+            ? ["operationName", "graphqlVariables"]
+            : REQUIREMENT_VALUE_FIELDS[key] || []
+
+        const values = {}
+        fields.forEach((field) => {
+          if (analyzedCall[field] !== undefined && analyzedCall[field] !== null) {
+            values[field] = analyzedCall[field]
+          }
+        })
+
+        return { key, complete: !!analyzedCall.isSuccessful, values }
+      })
+    }
+
     // Add new helper methods for payload analysis
     hasPayloadKeys(call, keys) {
       const payload = this.parseRequestBody(call.requestBody)
@@ -649,7 +1128,9 @@
     }
   }
 
-  // Export for use in content script - make sure it's available immediately
+  CheckoutCallAnalyzer.CUSTOM_TYPES_STORAGE_KEY = CUSTOM_TYPES_STORAGE_KEY
+
+  // Export for use in content script and popup - make sure it's available immediately
   window.CheckoutCallAnalyzer = CheckoutCallAnalyzer
 
   // Dispatch a custom event to signal the class is ready
@@ -0,0 +1,174 @@
+// Checkout flow validator - tracks the order stages complete in and flags out-of-order steps
+;(() => {
+
+  class CheckoutFlowValidator {
+    constructor() {
+      this.stages = []
+      this.findings = []
+    }
+
+    // Replay analyzed calls in capture order; returns the findings
+    validate(analyzedCalls, analyzer) {
+      this.stages = []
+      this.findings = []
+
+      const state = {
+        lastAddressChange: null,
+        lastDeliveryChange: null,
+        lastTaxQuote: null,
+        lastTaxTotal: undefined, // Latest cartSummary.totalTaxAmount seen in any response
+        taxTotalBeforeChange: undefined, // Tax total when the unresolved address/delivery change happened
+        deliveryMethodSet: false,
+        paymentSet: false,
+      }
+
+      analyzedCalls.forEach((call, callIndex) => {
+        if (!call || !call.callType) return
+
+        const step = { call, callIndex, timestamp: call.timestamp }
+        const requirementKeys = call.isSuccessful ? analyzer.getRequirementKeys(call) : []
+        const changesTaxBasis = requirementKeys.includes("shippingAddress") || requirementKeys.includes("deliveryMethod")
+        if (changesTaxBasis && !this.getPendingChange(state)) {
+          state.taxTotalBeforeChange = state.lastTaxTotal
+        }
+
+        if (requirementKeys.includes("shippingAddress")) {
+          this.recordStage("address", step)
+          if (state.lastTaxQuote) {
+            this.addFinding("ADDRESS_CHANGED_AFTER_TAXES", "warning", step, {
+              title: "Address changed after taxes were quoted",
+              message: "The shipping address changed after the last tax calculation; taxes must be re-quoted.",
+              pending: true,
+            })
+          }
+          state.lastAddressChange = step
+        }
+
+        if (requirementKeys.includes("deliveryMethod")) {
+          this.recordStage("delivery", step)
+          if (state.lastTaxQuote) {
+            this.addFinding("DELIVERY_CHANGED_AFTER_TAXES", "warning", step, {
+              title: "Delivery method changed after taxes were quoted",
+              message: "Shipping charges changed after the last tax calculation; taxes must be re-quoted.",
+              pending: true,
+            })
+          }
+          state.lastDeliveryChange = step
+          state.deliveryMethodSet = true
+        }
+
+        if (this.isTaxQuote(call, state, changesTaxBasis)) {
+          this.recordStage("taxes", step)
+          state.lastTaxQuote = step
+          // A re-quote resolves earlier "changed after taxes" warnings
+          this.findings = this.findings.filter((finding) => !finding.pending)
+        }
+
+        const taxTotal = this.getTaxTotal(call)
+        if (taxTotal !== undefined) state.lastTaxTotal = taxTotal
+
+        if (requirementKeys.includes("inventory")) {
+          this.recordStage("inventory", step)
+        }
+
+        if (requirementKeys.includes("payment")) {
+          this.recordStage("payment", step)
+          const staleChange = this.getPendingChange(state)
+          if (staleChange) {
+            this.addFinding("PAYMENT_BEFORE_TAX_REQUOTE", "error", step, {
+              title: "Payment submitted before taxes were recalculated",
+              message: `Payment was set after the ${staleChange === state.lastAddressChange ? "address" : "delivery method"} changed but before taxes were re-quoted.`,
+            })
+          }
+          state.paymentSet = true
+        }
+
+        if (call.callType === "orderPlacement") {
+          this.recordStage("order", step)
+          if (!state.deliveryMethodSet) {
+            this.addFinding("ORDER_WITHOUT_DELIVERY_METHOD", "error", step, {
+              title: "Order placed without a delivery method",
+              message: `Order placement (${call.status}) happened before any delivery method was selected.`,
+            })
+          }
+          if (!state.paymentSet) {
+            this.addFinding("ORDER_WITHOUT_PAYMENT", "error", step, {
+              title: "Order placed without payment",
+              message: `Order placement (${call.status}) happened before payment was set.`,
+            })
+          }
+        }
+      })
+
+      return this.getFindings()
+    }
+
+    // A successful tax call, or a later response whose tax total moved away from the total before the
+    // unresolved change. The call that made the change (PATCH /active returns the whole checkout) and
+    // responses repeating the old total (GET /active) are not re-quotes.
+    isTaxQuote(call, state, changesTaxBasis) {
+      if (call.callType === "taxes") return !!call.isSuccessful
+
+      const taxTotal = this.getTaxTotal(call)
+      if (taxTotal === undefined || changesTaxBasis) return false
+      if (!this.getPendingChange(state)) return !state.lastTaxQuote
+      return taxTotal !== state.taxTotalBeforeChange
+    }
+
+    getTaxTotal(call) {
+      return call.status < 400 ? call.response?.cartSummary?.totalTaxAmount : undefined
+    }
+
+    // Latest address/delivery change that no tax quote has followed yet
+    getPendingChange(state) {
+      const change = this.latestStep(state.lastAddressChange, state.lastDeliveryChange)
+      return change && (!state.lastTaxQuote || change.callIndex > state.lastTaxQuote.callIndex) ? change : null
+    }
+
+    latestStep(...steps) {
+      return steps.filter(Boolean).reduce((latest, step) => (!latest || step.callIndex > latest.callIndex ? step : latest), null)
+    }
+
+    recordStage(stage, step) {
+      this.stages.push({ stage, callIndex: step.callIndex, timestamp: step.timestamp })
+    }
+
+    addFinding(code, severity, step, details) {
+      this.findings.push({
+        code,
+        severity,
+        title: details.title,
+        message: details.message,
+        pending: !!details.pending,
+        callIndex: step.callIndex,
+        timestamp: step.timestamp,
+        call: {
+          method: step.call.method,
+          url: step.call.url,
+          status: step.call.status,
+        },
+      })
+    }
+
+    getFindings() {
+      return this.findings.map(({ pending, ...finding }) => finding)
+    }
+
+    // Stage order with consecutive repeats collapsed, e.g. address → delivery → taxes → payment
+    getStageSequence() {
+      return this.stages
+        .filter((entry, index) => index === 0 || this.stages[index - 1].stage !== entry.stage)
+        .map((entry) => entry.stage)
+    }
+  }
+
+  // Export for use in content script
+  window.CheckoutFlowValidator = CheckoutFlowValidator
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("CheckoutFlowValidatorReady", {
+      detail: { CheckoutFlowValidator },
+    }),
+  )
+})()
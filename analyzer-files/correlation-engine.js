@@ -1,9 +1,20 @@
 // Correlation engine for matching network calls with Salesforce logs
 ;(() => {
 
+  // chrome.storage.local key holding user-defined rule definitions
+  const CUSTOM_RULES_STORAGE_KEY = "customCorrelationRules"
+
+  // requestBody.paymentToken, $.response.items[0].id
+  const EXTRACTOR_PATH = /^(\$\.)?[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d+\])*$/
+
   class CorrelationEngine {
     constructor() {
       this.correlationRules = new Map()
+      this.customRuleNames = new Set()
+      this.liveNetworkCalls = []
+      this.liveSalesforceLogs = new Map()
+      this.liveMatches = new Map() // Best correlation per network call key
+      this.clockSkew = { offset: 0, source: "none", samples: 0 } // Server time minus browser time (ms)
       this.initializeDefaultRules()
     }
 
@@ -67,6 +78,18 @@
           jurisdiction: (call) => call.response?.taxJurisdiction,
         },
       })
+
+      // Rule: Decoded Aura/webruntime Apex actions (apex://Class/method)
+      this.addRule("apexAction", {
+        networkPatterns: [/^apex:\/\//],
+        logPatterns: [/apex:\/\//i, /ApexActionController/i],
+        timeWindow: 10000, // 10 seconds
+        weight: 9,
+        extractors: {
+          classname: (call) => call.classname,
+          methodName: (call) => call.methodName,
+        },
+      })
     }
 
     addRule(name, config) {
@@ -81,6 +104,115 @@
       })
     }
 
+    // User-defined rules are plain data (regex strings, dotted paths) - validated, never evaluated as code
+    static validateRuleDefinition(definition) {
+      const errors = []
+
+      if (!definition || typeof definition !== "object") {
+        return ["Rule must be an object"]
+      }
+
+      if (typeof definition.name !== "string" || !/^[\w-]{1,40}$/.test(definition.name)) {
+        errors.push("Name must be 1-40 letters, digits, dashes or underscores")
+      }
+
+      ;["networkPatterns", "logPatterns"].forEach((field) => {
+        const patterns = definition[field]
+        if (!Array.isArray(patterns) || patterns.length === 0) {
+          errors.push(`${field} needs at least one pattern`)
+          return
+        }
+        patterns.forEach((pattern) => {
+          if (typeof pattern !== "string" || pattern.length === 0 || pattern.length > 200) {
+            errors.push(`${field}: patterns must be non-empty strings up to 200 characters`)
+            return
+          }
+          try {
+            new RegExp(pattern, "i")
+          } catch (error) {
+            errors.push(`${field}: invalid regex "${pattern}" (${error.message})`)
+          }
+        })
+      })
+
+      if (definition.timeWindow !== undefined) {
+        if (!Number.isFinite(definition.timeWindow) || definition.timeWindow < 1000 || definition.timeWindow > 600000) {
+          errors.push("timeWindow must be between 1000 and 600000 ms")
+        }
+      }
+
+      if (definition.weight !== undefined) {
+        if (!Number.isFinite(definition.weight) || definition.weight < 1 || definition.weight > 20) {
+          errors.push("weight must be between 1 and 20")
+        }
+      }
+
+      if (definition.extractors !== undefined) {
+        if (typeof definition.extractors !== "object" || Array.isArray(definition.extractors)) {
+          errors.push("extractors must map names to paths")
+        } else {
+          Object.entries(definition.extractors).forEach(([key, path]) => {
+            if (!/^[\w-]+$/.test(key)) errors.push(`Extractor name "${key}" is invalid`)
+            if (typeof path !== "string" || !EXTRACTOR_PATH.test(path)) {
+              errors.push(`Extractor "${key}" path must look like requestBody.field or response.items[0].id`)
+            }
+          })
+        }
+      }
+
+      return errors
+    }
+
+    // Turn a validated definition into the config shape addRule expects
+    compileRuleDefinition(definition) {
+      const extractors = {}
+      Object.entries(definition.extractors || {}).forEach(([key, path]) => {
+        extractors[key] = (call) => this.getValueAtPath(call, path)
+      })
+
+      return {
+        networkPatterns: definition.networkPatterns.map((pattern) => new RegExp(pattern, "i")),
+        logPatterns: definition.logPatterns.map((pattern) => new RegExp(pattern, "i")),
+        timeWindow: definition.timeWindow,
+        weight: definition.weight,
+        extractors,
+      }
+    }
+
+    addRuleDefinition(definition) {
+      const errors = CorrelationEngine.validateRuleDefinition(definition)
+      if (errors.length > 0) {
+        throw new Error(`Invalid correlation rule "${definition?.name}": ${errors.join("; ")}`)
+      }
+
+      this.addRule(definition.name, this.compileRuleDefinition(definition))
+      this.customRuleNames.add(definition.name)
+    }
+
+    // Replace all previously loaded custom rules; a custom rule may override a default of the same name
+    loadCustomRules(definitions = []) {
+      this.customRuleNames.forEach((name) => this.correlationRules.delete(name))
+      this.customRuleNames.clear()
+      this.initializeDefaultRules()
+
+      const result = { loaded: 0, errors: [] }
+      definitions.forEach((definition) => {
+        try {
+          this.addRuleDefinition(definition)
+          result.loaded++
+        } catch (error) {
+          result.errors.push({ name: definition?.name, error: error.message })
+        }
+      })
+
+      return result
+    }
+
+    getValueAtPath(source, path) {
+      const segments = path.replace(/^\$\./, "").match(/[^.[\]]+/g) || []
+      return segments.reduce((value, segment) => (value == null ? undefined : value[segment]), source)
+    }
+
     correlateAll(networkCalls, salesforceLogs) {
       const correlations = []
 
@@ -101,7 +233,192 @@
       return this.correlateAll(networkCalls, salesforceLogs)
     }
 
+    // Live (incremental) correlation - match each call and log against the other side as it arrives
+    resetLiveCorrelation(networkCalls = [], salesforceLogs = []) {
+      this.liveNetworkCalls = []
+      this.liveSalesforceLogs = new Map()
+      this.liveMatches = new Map()
+
+      this.addSalesforceLogs(salesforceLogs)
+      networkCalls.forEach((networkCall) => this.addNetworkCall(networkCall))
+
+      return this.getLiveCorrelations()
+    }
+
+    // Returns the new best correlation for the call, or null if nothing matched
+    addNetworkCall(networkCall) {
+      if (!networkCall) return null
+
+      const callKey = this.getCallKey(networkCall)
+      if (this.liveNetworkCalls.some((call) => this.getCallKey(call) === callKey)) {
+        return null
+      }
+
+      this.liveNetworkCalls.push(networkCall)
+      return this.updateBestMatch(networkCall, Array.from(this.liveSalesforceLogs.values()))
+    }
+
+    // Returns the correlations that were added or replaced by the new logs. Logs already known are swapped
+    // for the incoming objects, in existing matches too, so callers can look them up by identity.
+    // options.complete: the list is every log the caller has, so live logs missing from it are dropped
+    // and calls matched to them are matched again against the logs that remain.
+    addSalesforceLogs(salesforceLogs = [], options = {}) {
+      const changed = options.complete ? this.removeMissingLogs(salesforceLogs) : []
+      const newLogs = []
+      const replaced = new Map()
+      salesforceLogs.filter(Boolean).forEach((log) => {
+        const logKey = this.getLogKey(log)
+        const stored = this.liveSalesforceLogs.get(logKey)
+        if (!stored) newLogs.push(log)
+        else if (stored !== log) replaced.set(logKey, log)
+        this.liveSalesforceLogs.set(logKey, log)
+      })
+
+      if (replaced.size > 0) {
+        this.liveMatches.forEach((match, callKey) => {
+          const log = match.salesforceLog && replaced.get(this.getLogKey(match.salesforceLog))
+          if (log) this.liveMatches.set(callKey, { ...match, salesforceLog: log })
+        })
+      }
+      if (newLogs.length === 0) return changed
+
+      this.liveNetworkCalls.forEach((networkCall) => {
+        const updated = this.updateBestMatch(networkCall, newLogs)
+        if (updated) changed.push(updated)
+      })
+
+      return changed
+    }
+
+    // Returns the correlations found for calls whose matched log was removed
+    removeMissingLogs(salesforceLogs) {
+      const keep = new Set(salesforceLogs.filter(Boolean).map((log) => this.getLogKey(log)))
+      const removed = [...this.liveSalesforceLogs.keys()].filter((logKey) => !keep.has(logKey))
+      if (removed.length === 0) return []
+
+      removed.forEach((logKey) => this.liveSalesforceLogs.delete(logKey))
+      const remaining = Array.from(this.liveSalesforceLogs.values())
+
+      const changed = []
+      this.liveNetworkCalls.forEach((networkCall) => {
+        const callKey = this.getCallKey(networkCall)
+        const match = this.liveMatches.get(callKey)
+        if (!match || keep.has(this.getLogKey(match.salesforceLog))) return
+
+        this.liveMatches.delete(callKey)
+        const updated = this.updateBestMatch(networkCall, remaining)
+        if (updated) changed.push(updated)
+      })
+      return changed
+    }
+
+    // Keep only the highest scoring log per call, replacing stale matches
+    updateBestMatch(networkCall, candidateLogs) {
+      const matches = this.findMatches(networkCall, candidateLogs)
+      if (matches.length === 0) return null
+
+      const best = matches.reduce((top, match) => (match.confidence > top.confidence ? match : top))
+      const callKey = this.getCallKey(networkCall)
+      const current = this.liveMatches.get(callKey)
+
+      if (current && current.confidence >= best.confidence) {
+        return null
+      }
+
+      this.liveMatches.set(callKey, best)
+      return best
+    }
+
+    getLiveCorrelations() {
+      return Array.from(this.liveMatches.values()).sort((a, b) => b.confidence - a.confidence)
+    }
+
+    getCallKey(networkCall) {
+      return networkCall.id || `${networkCall.method} ${networkCall.url} ${networkCall.timestamp}`
+    }
+
+    getLogKey(log) {
+      return log.Id || `${log.Operation || log.Request} ${log.StartTime}`
+    }
+
+    // Clock skew - ApexLog.StartTime is server time, networkCall.timestamp is browser time
+    setClockOffset(offset, source = "manual", samples = 0) {
+      this.clockSkew = { offset: Math.round(offset), source, samples }
+    }
+
+    getClockSkew() {
+      return { ...this.clockSkew }
+    }
+
+    // Browser timestamp translated onto the server clock
+    getServerTime(timestamp) {
+      return timestamp + this.clockSkew.offset
+    }
+
+    // Prefers response Date headers; falls back to request ID matches as anchors
+    estimateClockSkew(networkCalls = [], correlations = []) {
+      const headerSamples = networkCalls
+        .filter((call) => call.serverDate && call.timestamp)
+        .map((call) => {
+          const serverTime = new Date(call.serverDate).getTime()
+          if (Number.isNaN(serverTime)) return null
+          // Date headers are truncated to the second and stamped somewhere mid-flight
+          return serverTime + 500 - (call.timestamp - (call.duration || 0) / 2)
+        })
+        .filter((sample) => sample !== null)
+
+      if (headerSamples.length >= 3) {
+        return { offset: Math.round(this.median(headerSamples)), source: "date-headers", samples: headerSamples.length }
+      }
+
+      // Apex starts shortly after the request reaches the server. Only request ID matches are used: every other
+      // match was scored with the current offset, so it would confirm that offset rather than correct it.
+      const anchorSamples = correlations
+        .filter((correlation) => correlation.type === "requestId" && correlation.salesforceLog?.StartTime)
+        .map((correlation) => {
+          const call = correlation.networkCall
+          return new Date(correlation.salesforceLog.StartTime).getTime() - (call.timestamp - (call.duration || 0))
+        })
+        .filter((sample) => !Number.isNaN(sample))
+
+      if (anchorSamples.length >= 2) {
+        return { offset: Math.round(this.median(anchorSamples)), source: "anchors", samples: anchorSamples.length }
+      }
+
+      return null
+    }
+
+    // Applies a new estimate when it moves by more than the threshold; returns true if it changed
+    updateClockSkew(networkCalls, correlations, threshold = 250) {
+      if (this.clockSkew.source === "manual") return false
+
+      const estimate = this.estimateClockSkew(networkCalls, correlations)
+      if (!estimate) return false
+
+      const changed = Math.abs(estimate.offset - this.clockSkew.offset) > threshold
+      if (changed) {
+        this.setClockOffset(estimate.offset, estimate.source, estimate.samples)
+      } else {
+        this.clockSkew = { ...this.clockSkew, source: estimate.source, samples: estimate.samples }
+      }
+
+      return changed
+    }
+
+    median(values) {
+      const sorted = [...values].sort((a, b) => a - b)
+      const middle = Math.floor(sorted.length / 2)
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+    }
+
     findMatches(networkCall, salesforceLogs) {
+      // Split batches are correlated through their actions
+      if (networkCall.actionCount) return []
+
+      // A shared Salesforce request ID is conclusive - skip time and pattern scoring
+      const requestIdMatches = this.findRequestIdMatches(networkCall, salesforceLogs)
+      if (requestIdMatches.length > 0) return requestIdMatches
+
       const matches = []
 
       for (const [ruleName, rule] of this.correlationRules) {
@@ -113,7 +430,7 @@
         // Find matching Salesforce logs within time window
         const candidateLogs = salesforceLogs.filter((log) => {
           const logTime = new Date(log.StartTime).getTime()
-          const callTime = networkCall.timestamp
+          const callTime = this.getServerTime(networkCall.timestamp)
           const timeDiff = Math.abs(logTime - callTime)
 
           return timeDiff <= rule.timeWindow && this.matchesLogPatterns(log, rule.logPatterns)
@@ -132,16 +449,45 @@
       return matches
     }
 
+    // Response header request ID (X-SFDC-Request-Id) against ApexLog.RequestIdentifier
+    findRequestIdMatches(networkCall, salesforceLogs) {
+      if (!networkCall.requestId) return []
+
+      return salesforceLogs
+        .filter((log) => log.RequestIdentifier && log.RequestIdentifier === networkCall.requestId)
+        .map((log) => {
+          const factors = [`request_id(${networkCall.requestId})`]
+          return {
+            networkCall,
+            salesforceLog: log,
+            type: "requestId",
+            confidence: 1,
+            score: 1,
+            maxScore: 1,
+            timeDifference: Math.abs(new Date(log.StartTime).getTime() - this.getServerTime(networkCall.timestamp)),
+            factors,
+            reasoning: this.generateReasoning("requestId", 1, factors),
+          }
+        })
+    }
+
     matchesNetworkPatterns(networkCall, patterns) {
       const searchText = `${networkCall.url} ${JSON.stringify(networkCall.requestBody || {})} ${JSON.stringify(networkCall.response || {})}`
       return patterns.some((pattern) => pattern.test(searchText))
     }
 
     matchesLogPatterns(log, patterns) {
-      const searchText = `${log.body || ""} ${log.parsed?.apexClass || ""} ${JSON.stringify(log.parsed || {})}`
+      const searchText = `${log.body || ""} ${log.parsed?.apexClass || ""} ${this.getParsedText(log)}`
       return patterns.some((pattern) => pattern.test(searchText))
     }
 
+    // Summary text to search; an execution tree left on older records repeats the body several times over
+    getParsedText(log) {
+      if (!log.parsed) return "{}"
+      const { tree, ...summary } = log.parsed
+      return JSON.stringify(summary)
+    }
+
     scoreCorrelation(networkCall, salesforceLog, rule) {
       let score = 0
       let maxScore = 0
@@ -154,7 +500,7 @@
 
       // Time proximity scoring
       const logTime = new Date(salesforceLog.StartTime).getTime()
-      const callTime = networkCall.timestamp
+      const callTime = this.getServerTime(networkCall.timestamp)
       const timeDiff = Math.abs(logTime - callTime)
       const timeScore = Math.max(0, 10 - timeDiff / 1000) // 10 points for immediate, 0 for 10+ seconds
       score += timeScore
@@ -163,7 +509,7 @@
 
       // Pattern matching scoring
       const networkText = `${networkCall.url} ${JSON.stringify(networkCall.requestBody || {})}`.toLowerCase()
-      const logText = `${salesforceLog.body || ""} ${JSON.stringify(salesforceLog.parsed || {})}`.toLowerCase()
+      const logText = `${salesforceLog.body || ""} ${this.getParsedText(salesforceLog)}`.toLowerCase()
 
       let patternScore = 0
       rule.networkPatterns.forEach((pattern) => {
@@ -288,12 +634,15 @@
           },
         })),
         stats: this.getCorrelationStats(correlations),
+        clockSkew: this.getClockSkew(),
         exportTime: new Date().toISOString(),
       }
     }
   }
 
-  // Export for use in content script
+  CorrelationEngine.CUSTOM_RULES_STORAGE_KEY = CUSTOM_RULES_STORAGE_KEY
+
+  // Export for use in content script and popup
   window.CorrelationEngine = CorrelationEngine
 
   // Dispatch a custom event to signal the class is ready
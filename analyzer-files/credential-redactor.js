@@ -0,0 +1,81 @@
+// Credential redactor - removes auth headers, cookies, CSRF and session tokens from captured calls
+;(() => {
+
+  const SENSITIVE_HEADER = /^(?:authorization|proxy-authorization|cookie|set-cookie)$|csrf|xsrf|session|token|secret|api-?key/i
+  const SENSITIVE_BODY_FIELDS = ["aura.token"] // Aura batches carry the CSRF token in the form body
+  const REDACTED = "[redacted]"
+
+  class CredentialRedactor {
+    static isSensitiveHeader(name) {
+      return SENSITIVE_HEADER.test(name)
+    }
+
+    static redactHeaders(headers) {
+      if (!headers || typeof headers !== "object") return headers
+      return Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name, SENSITIVE_HEADER.test(name) ? REDACTED : value]),
+      )
+    }
+
+    // Headers left out of a replay: the browser sends its own cookies, and a placeholder is no credential
+    static withoutRedacted(headers) {
+      return Object.fromEntries(Object.entries(headers || {}).filter(([, value]) => value !== REDACTED))
+    }
+
+    // Form bodies come as objects or, for Aura batches, as urlencoded strings
+    static redactBody(body) {
+      if (!body) return body
+
+      if (typeof body === "string") {
+        return SENSITIVE_BODY_FIELDS.reduce((text, field) => {
+          const pattern = new RegExp(`(^|&)(${encodeURIComponent(field).replace(/\./g, "\\.")}=)[^&]*`, "g")
+          return text.replace(pattern, `$1$2${encodeURIComponent(REDACTED)}`)
+        }, body)
+      }
+      if (typeof body === "object" && SENSITIVE_BODY_FIELDS.some((field) => field in body)) {
+        const redacted = { ...body }
+        SENSITIVE_BODY_FIELDS.forEach((field) => {
+          if (field in redacted) redacted[field] = REDACTED
+        })
+        return redacted
+      }
+      return body
+    }
+
+    // Copy of the call; the live call keeps its credentials so it can still be replayed
+    static redactCall(call) {
+      if (!call) return call
+      return {
+        ...call,
+        requestHeaders: CredentialRedactor.redactHeaders(call.requestHeaders),
+        responseHeaders: CredentialRedactor.redactHeaders(call.responseHeaders),
+        requestBody: CredentialRedactor.redactBody(call.requestBody),
+      }
+    }
+
+    // Session or debug data export with every captured call redacted, including the copies held by correlations
+    static redactSession(session) {
+      if (!session) return session
+      return {
+        ...session,
+        networkCalls: (session.networkCalls || []).map((call) => CredentialRedactor.redactCall(call)),
+        correlations: (session.correlations || []).map((correlation) => ({
+          ...correlation,
+          networkCall: CredentialRedactor.redactCall(correlation.networkCall),
+        })),
+      }
+    }
+  }
+
+  CredentialRedactor.REDACTED = REDACTED
+
+  // Export for use in content script, session manager and HAR converter
+  window.CredentialRedactor = CredentialRedactor
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("CredentialRedactorReady", {
+      detail: { CredentialRedactor },
+    }),
+  )
+})()
@@ -0,0 +1,175 @@
+// Credential vault - AES-GCM encryption of the session IDs and tokens stored with Salesforce accounts
+;(() => {
+
+  const CONFIG_STORAGE_KEY = "credentialVault" // chrome.storage.local: { mode, salt, iterations, check, createdAt }
+  const KEY_STORAGE_KEY = "credentialVaultKey" // chrome.storage.session: raw AES key while unlocked
+
+  // Account fields that are only ever stored inside the encrypted `credentials` blob
+  const SECRET_FIELDS = ["sessionId", "refreshToken"]
+
+  const PBKDF2_ITERATIONS = 310000
+  const CHECK_VALUE = "sfcc-credential-vault" // Encrypted with the key so a wrong passphrase is detected
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0))
+  }
+
+  class CredentialVault {
+    async getConfig() {
+      const { [CONFIG_STORAGE_KEY]: config } = await chrome.storage.local.get([CONFIG_STORAGE_KEY])
+      return config || null
+    }
+
+    async getStatus() {
+      const config = await this.getConfig()
+      return { configured: !!config, mode: config?.mode || null, unlocked: !!config && !!(await this.getKey()) }
+    }
+
+    // chrome.storage.session is cleared when the browser closes and is not readable from content scripts
+    async getKey() {
+      const { [KEY_STORAGE_KEY]: rawKey } = await chrome.storage.session.get([KEY_STORAGE_KEY])
+      if (!rawKey) return null
+      return crypto.subtle.importKey("raw", fromBase64(rawKey), "AES-GCM", false, ["encrypt", "decrypt"])
+    }
+
+    async cacheKey(key) {
+      const rawKey = await crypto.subtle.exportKey("raw", key)
+      await chrome.storage.session.set({ [KEY_STORAGE_KEY]: toBase64(rawKey) })
+    }
+
+    // "passphrase": key derived from the passphrase, held in session storage until locked or the browser closes.
+    // "session": random key that only exists in session storage, so credentials are forgotten with the browser session.
+    async setup(mode, passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16))
+      const key =
+        mode === "passphrase"
+          ? await this.deriveKey(passphrase, salt, PBKDF2_ITERATIONS)
+          : await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"])
+
+      await chrome.storage.local.set({
+        [CONFIG_STORAGE_KEY]: {
+          mode,
+          salt: toBase64(salt),
+          iterations: PBKDF2_ITERATIONS,
+          check: await this.encrypt(key, CHECK_VALUE),
+          createdAt: Date.now(),
+        },
+      })
+      await this.cacheKey(key)
+    }
+
+    async unlock(passphrase) {
+      const config = await this.getConfig()
+      if (config?.mode !== "passphrase") throw new Error("Credentials are not protected by a passphrase")
+
+      const key = await this.deriveKey(passphrase, fromBase64(config.salt), config.iterations)
+      try {
+        await this.decrypt(key, config.check)
+      } catch (error) {
+        throw new Error("Wrong passphrase")
+      }
+      await this.cacheKey(key)
+    }
+
+    async lock() {
+      await chrome.storage.session.remove(KEY_STORAGE_KEY)
+    }
+
+    // Forgets the key; accounts must drop their `credentials` blobs since nothing can read them anymore
+    async reset() {
+      await chrome.storage.local.remove(CONFIG_STORAGE_KEY)
+      await this.lock()
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+      const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+        "deriveKey",
+      ])
+      return crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+        material,
+        { name: "AES-GCM", length: 256 },
+        true,
+        ["encrypt", "decrypt"],
+      )
+    }
+
+    async encrypt(key, text) {
+      const iv = crypto.getRandomValues(new Uint8Array(12))
+      const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text))
+      return { iv: toBase64(iv), data: toBase64(data) }
+    }
+
+    async decrypt(key, payload) {
+      const data = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(payload.iv) },
+        key,
+        fromBase64(payload.data),
+      )
+      return new TextDecoder().decode(data)
+    }
+
+    // Stored form of accounts: secrets replaced by an encrypted `credentials` blob. Before the vault is set up
+    // accounts are stored as they are, so older plain-text accounts keep working until they are migrated.
+    async sealAccounts(accounts) {
+      if (!(await this.getConfig())) return accounts.map(({ locked, ...account }) => account)
+
+      const key = await this.getKey()
+      return Promise.all(accounts.map((account) => this.sealAccount(account, key)))
+    }
+
+    async sealAccount(account, key) {
+      const { locked, ...stored } = account
+      const secrets = {}
+      SECRET_FIELDS.forEach((field) => {
+        if (stored[field] !== undefined) secrets[field] = stored[field]
+        delete stored[field]
+      })
+
+      // Accounts loaded while locked have no secrets and keep their existing blob
+      if (Object.keys(secrets).length === 0) return stored
+      if (!key) throw new Error("Credentials are locked")
+
+      return { ...stored, credentials: await this.encrypt(key, JSON.stringify(secrets)) }
+    }
+
+    // Accounts with their secrets restored; while locked they come back with `locked: true` and no secrets
+    async openAccounts(accounts) {
+      const key = await this.getKey()
+      return Promise.all(
+        accounts.map(async (account) => {
+          if (!account.credentials) return { ...account }
+          if (!key) return { ...account, locked: true }
+
+          try {
+            return { ...account, ...JSON.parse(await this.decrypt(key, account.credentials)) }
+          } catch (error) {
+            console.warn(`Could not decrypt credentials for ${account.name}:`, error)
+            return { ...account, locked: true }
+          }
+        }),
+      )
+    }
+
+    // Stored accounts that still carry secrets outside the vault
+    static countPlaintext(accounts) {
+      return accounts.filter((account) => SECRET_FIELDS.some((field) => account[field])).length
+    }
+  }
+
+  CredentialVault.CONFIG_STORAGE_KEY = CONFIG_STORAGE_KEY
+
+  // Export for use in the popup and background worker
+  window.CredentialVault = CredentialVault
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("CredentialVaultReady", {
+      detail: { CredentialVault },
+    }),
+  )
+})()
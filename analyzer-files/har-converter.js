@@ -0,0 +1,374 @@
+// HAR converter - HAR 1.2 export of captured calls and import of DevTools HAR files
+;(() => {
+
+  const HAR_VERSION = "1.2"
+  const CREATOR = { name: "SFCC Checkout Debugger", version: "1.0.0" }
+
+  // Same headers the network interceptor reads the Salesforce request ID from
+  const REQUEST_ID_HEADERS = ["x-sfdc-request-id", "x-request-id", "sfdc-request-id"]
+
+  // Page assets in a DevTools HAR that are never API calls
+  const STATIC_MIME_TYPE = /^(image|font|audio|video)\/|css|javascript|html/i
+  const TEXT_MIME_TYPE = /json|text|xml|javascript|x-www-form-urlencoded/i
+
+  // Decoded Aura/Apex action fields, listed under the batch entry's _action
+  const ACTION_FIELDS = [
+    "urlName",
+    "actionType",
+    "actionId",
+    "actionIndex",
+    "actionState",
+    "actionDescriptor",
+    "namespace",
+    "classname",
+    "methodName",
+    "parentUrl",
+    "parentId",
+    "id",
+  ]
+
+  class HarConverter {
+    // session: { id, name, checkoutId, startTime, endTime, networkCalls, correlations, metadata }
+    // options.includeCredentials keeps the values of sensitive headers and tokens instead of redacting them
+    toHar(session, options = {}) {
+      const includeCredentials = !!options.includeCredentials
+      const calls = session.networkCalls || []
+      const correlations = session.correlations || []
+      const pageId = session.id || "page_1"
+
+      // Decoded actions are exported inside their batch entry. Sessions recorded before batches were kept
+      // have no batch call, so their actions still get an apex:// entry of their own.
+      const batchIds = new Set(calls.filter((call) => call.actionCount).map((call) => this.getCallKey(call)))
+      const actionsByBatch = new Map()
+      calls
+        .filter((call) => call.actionType && batchIds.has(call.parentId))
+        .forEach((call) => actionsByBatch.set(call.parentId, [...(actionsByBatch.get(call.parentId) || []), call]))
+      const firstTimestamp = calls.length > 0 ? calls[0].timestamp - (calls[0].duration || 0) : Date.now()
+
+      return {
+        log: {
+          version: HAR_VERSION,
+          creator: CREATOR,
+          pages: [
+            {
+              startedDateTime: this.toIsoDate(session.startTime || firstTimestamp),
+              id: pageId,
+              title: session.metadata?.url || session.name || "",
+              pageTimings: { onContentLoad: -1, onLoad: -1 },
+            },
+          ],
+          entries: calls
+            .filter((call) => !(call.actionType && batchIds.has(call.parentId)))
+            .map((call) => {
+              const actions = actionsByBatch.get(this.getCallKey(call)) || []
+              return this.toEntry(call, {
+                pageId,
+                includeCredentials,
+                checkoutId: session.checkoutId || null,
+                actions,
+                correlations: [call, ...actions].flatMap((source) => this.getCallCorrelations(source, correlations)),
+              })
+            }),
+          _session: {
+            id: session.id || null,
+            name: session.name || null,
+            checkoutId: session.checkoutId || null,
+            startTime: session.startTime || null,
+            endTime: session.endTime || null,
+            credentialsRedacted: !includeCredentials,
+          },
+        },
+      }
+    }
+
+    toEntry(call, context) {
+      const duration = Math.max(0, Math.round(call.duration || 0))
+      const requestHeaders = call.requestHeaders || {}
+      const responseHeaders = call.responseHeaders || {}
+      const response = call.responseBody ?? call.response
+      const responseText = this.bodyToText(response)
+      const analysis = call.analysis || {}
+
+      const entry = {
+        pageref: context.pageId,
+        startedDateTime: this.toIsoDate((call.timestamp || Date.now()) - duration),
+        time: duration,
+        request: {
+          method: call.method || "GET",
+          url: call.url,
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: this.toNameValues(this.redactHeaders(requestHeaders, context)),
+          queryString: this.getQueryString(call.url),
+          headersSize: -1,
+          bodySize: 0,
+        },
+        response: {
+          status: call.status || 0,
+          statusText: "",
+          httpVersion: "HTTP/1.1",
+          cookies: [],
+          headers: this.toNameValues(this.redactHeaders(responseHeaders, context)),
+          content: {
+            size: responseText ? responseText.length : 0,
+            mimeType: responseHeaders["content-type"] || (response && typeof response === "object" ? "application/json" : "text/plain"),
+            ...(responseText !== null ? { text: responseText } : {}),
+          },
+          redirectURL: "",
+          headersSize: -1,
+          bodySize: -1,
+          ...(call.error ? { _error: call.error } : {}),
+        },
+        cache: {},
+        timings: { send: 0, wait: duration, receive: 0 },
+        _resourceType: "fetch",
+        _callType: analysis.callType || null,
+        _checkoutStage: analysis.checkoutStage || null,
+        _checkoutId: analysis.checkoutId || context.checkoutId,
+        _correlations: context.correlations,
+        _requestId: call.requestId || null,
+        _requestBodyType: call.requestBodyType || null,
+      }
+
+      const postData = this.toPostData(call, requestHeaders, context)
+      if (postData) {
+        entry.request.postData = postData
+        entry.request.bodySize = postData.text ? postData.text.length : -1
+      }
+
+      if (context.actions?.length > 0) {
+        entry._action = context.actions.map((action) => ({
+          ...this.getActionFields(action),
+          callType: action.analysis?.callType || null,
+          checkoutStage: action.analysis?.checkoutStage || null,
+        }))
+      } else if (call.actionType) {
+        entry._action = this.getActionFields(call)
+      }
+      if (call.mocked) entry._mocked = call.mocked
+      if (call.replayOf) entry._replayOf = call.replayOf
+
+      return entry
+    }
+
+    getActionFields(call) {
+      return Object.fromEntries(ACTION_FIELDS.map((field) => [field, call[field] ?? null]))
+    }
+
+    // Form bodies are captured as objects; HAR lists them as params rather than text
+    toPostData(call, requestHeaders, context) {
+      const body = this.redactBody(call.requestBody, context)
+      if (body === null || body === undefined) return null
+
+      const contentType = requestHeaders["content-type"]
+      if ((call.requestBodyType === "urlencoded" || call.requestBodyType === "form-data") && typeof body === "object") {
+        return {
+          mimeType: contentType || (call.requestBodyType === "urlencoded" ? "application/x-www-form-urlencoded" : "multipart/form-data"),
+          params: Object.entries(body).flatMap(([name, value]) =>
+            [].concat(value).map((entry) =>
+              entry && typeof entry === "object"
+                ? { name, fileName: entry.fileName || "", contentType: entry.type || "" }
+                : { name, value: String(entry) },
+            ),
+          ),
+        }
+      }
+
+      return {
+        mimeType: contentType || (typeof body === "object" ? "application/json" : "text/plain"),
+        text: this.bodyToText(body),
+      }
+    }
+
+    // Credentials are left out unless asked for, using the same rules as stored sessions
+    redactHeaders(headers, context) {
+      return context.includeCredentials ? headers : window.CredentialRedactor.redactHeaders(headers)
+    }
+
+    redactBody(body, context) {
+      return context.includeCredentials ? body : window.CredentialRedactor.redactBody(body)
+    }
+
+    // Correlations are stored with copies of the call, so match on the engine's call key
+    getCallCorrelations(call, correlations) {
+      const key = this.getCallKey(call)
+      return correlations
+        .filter((correlation) => correlation.networkCall && this.getCallKey(correlation.networkCall) === key)
+        .map((correlation) => ({
+          type: correlation.type,
+          confidence: correlation.confidence,
+          logId: correlation.salesforceLog?.Id || null,
+          operation: correlation.salesforceLog?.Operation || correlation.salesforceLog?.Request || null,
+          reasoning: correlation.reasoning || null,
+        }))
+    }
+
+    getCallKey(call) {
+      return call.id || `${call.method} ${call.url} ${call.timestamp}`
+    }
+
+    // Returns { calls, skipped, title, session } with calls in capture order, not yet analyzed
+    fromHar(input) {
+      const har = typeof input === "string" ? JSON.parse(input) : input
+      const entries = har?.log?.entries
+      if (!Array.isArray(entries)) {
+        throw new Error("Not a HAR file: log.entries is missing")
+      }
+
+      const calls = []
+      let skipped = 0
+      entries.forEach((entry) => {
+        if (!this.isApiEntry(entry)) {
+          skipped++
+          return
+        }
+        calls.push(this.fromEntry(entry))
+      })
+      calls.sort((a, b) => a.timestamp - b.timestamp)
+
+      return {
+        calls,
+        skipped,
+        title: har.log.pages?.[0]?.title || null,
+        session: har.log._session || null,
+      }
+    }
+
+    // DevTools marks XHR/fetch entries; other tools' HARs are filtered by content type
+    isApiEntry(entry) {
+      const url = entry?.request?.url
+      if (!url || (!/^https?:/i.test(url) && !entry._action)) return false
+      if (entry._resourceType) return entry._resourceType === "fetch" || entry._resourceType === "xhr"
+      return !STATIC_MIME_TYPE.test(entry.response?.content?.mimeType || "")
+    }
+
+    fromEntry(entry) {
+      const request = entry.request || {}
+      const response = entry.response || {}
+      const requestHeaders = this.fromNameValues(request.headers)
+      const responseHeaders = this.fromNameValues(response.headers)
+      const duration = Math.max(0, Math.round(entry.time || 0))
+      const started = Date.parse(entry.startedDateTime)
+      const { body: requestBody, bodyType: requestBodyType } = this.parsePostData(request.postData, entry._requestBodyType)
+      const responseBody = this.parseContent(response.content)
+      const status = response.status || 0
+
+      const requestIdHeader = REQUEST_ID_HEADERS.find((header) => responseHeaders[header])
+      const call = {
+        url: request.url,
+        method: (request.method || "GET").toUpperCase(),
+        status,
+        duration,
+        // Captured calls are timestamped when the response arrives
+        timestamp: (Number.isNaN(started) ? Date.now() : started) + duration,
+        serverDate: responseHeaders.date || null,
+        requestId: entry._requestId || (requestIdHeader ? responseHeaders[requestIdHeader] : null),
+        requestHeaders,
+        responseHeaders,
+        requestBody,
+        requestBodyType,
+        responseBody,
+        response: responseBody,
+        error: response._error || (status === 0 ? "Request failed" : undefined),
+        imported: true,
+      }
+
+      // A batch entry lists its actions for reference; the importer decodes them again from the request body
+      if (entry._action && !Array.isArray(entry._action)) Object.assign(call, entry._action)
+      if (entry._mocked) call.mocked = entry._mocked
+      if (entry._replayOf) call.replayOf = entry._replayOf
+
+      return call
+    }
+
+    parsePostData(postData, bodyType) {
+      if (!postData) return { body: null, bodyType: null }
+
+      const mimeType = postData.mimeType || ""
+      if (Array.isArray(postData.params) && postData.params.length > 0 && !postData.text) {
+        const body = {}
+        postData.params.forEach((param) => {
+          const value =
+            param.fileName !== undefined
+              ? { fileName: param.fileName || null, type: param.contentType || null, size: null }
+              : param.value ?? ""
+          body[param.name] = body[param.name] === undefined ? value : [].concat(body[param.name], value)
+        })
+        return { body, bodyType: bodyType || (/multipart/i.test(mimeType) ? "form-data" : "urlencoded") }
+      }
+
+      if (postData.text === undefined || postData.text === "") return { body: null, bodyType: null }
+
+      // Aura batches are urlencoded strings; the decoder splits them into fields itself
+      const parsed = this.parseJson(postData.text)
+      return { body: parsed, bodyType: bodyType || (parsed !== postData.text ? "json" : "text") }
+    }
+
+    parseContent(content) {
+      if (!content || content.text === undefined || content.text === "") return null
+
+      if (content.encoding === "base64") {
+        if (!TEXT_MIME_TYPE.test(content.mimeType || "")) return null
+        try {
+          const bytes = Uint8Array.from(atob(content.text), (char) => char.charCodeAt(0))
+          return this.parseJson(new TextDecoder().decode(bytes))
+        } catch (error) {
+          console.warn("Failed to decode base64 HAR content:", error)
+          return null
+        }
+      }
+
+      return this.parseJson(content.text)
+    }
+
+    parseJson(text) {
+      try {
+        return JSON.parse(text)
+      } catch (error) {
+        return text
+      }
+    }
+
+    bodyToText(body) {
+      if (body === null || body === undefined) return null
+      return typeof body === "string" ? body : JSON.stringify(body)
+    }
+
+    toNameValues(headers) {
+      return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }))
+    }
+
+    // HAR headers keep their original case and may repeat; captured headers are lowercased and combined
+    fromNameValues(headers) {
+      const result = {}
+      ;(headers || []).forEach(({ name, value }) => {
+        if (!name || name.startsWith(":")) return
+        const key = name.toLowerCase()
+        result[key] = result[key] !== undefined ? `${result[key]}, ${value}` : String(value)
+      })
+      return result
+    }
+
+    getQueryString(url) {
+      try {
+        return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }))
+      } catch (error) {
+        return []
+      }
+    }
+
+    toIsoDate(timestamp) {
+      return new Date(timestamp).toISOString()
+    }
+  }
+
+  // Export for use in content script
+  window.HarConverter = HarConverter
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("HarConverterReady", {
+      detail: { HarConverter },
+    }),
+  )
+})()
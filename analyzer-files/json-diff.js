@@ -0,0 +1,92 @@
+// Structural JSON diff - lists added, removed and changed fields between two JSON values
+;(() => {
+
+  class JsonDiff {
+    constructor(options = {}) {
+      // Large checkout resources can change wholesale; cap what we report
+      this.maxChanges = options.maxChanges || 200
+    }
+
+    // Returns { changes: [{ path, type, before, after }], truncated }
+    diff(before, after) {
+      const result = { changes: [], truncated: false }
+      this.compare(before, after, "", result)
+      return result
+    }
+
+    compare(before, after, path, result) {
+      if (result.changes.length >= this.maxChanges) {
+        result.truncated = true
+        return
+      }
+
+      if (this.isContainer(before) && this.isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+        const keys = Array.isArray(before)
+          ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+          : [...new Set([...Object.keys(before), ...Object.keys(after)])]
+
+        keys.forEach((key) => {
+          const childPath = this.joinPath(path, key)
+          const inBefore = Array.isArray(before) ? key < before.length : Object.prototype.hasOwnProperty.call(before, key)
+          const inAfter = Array.isArray(after) ? key < after.length : Object.prototype.hasOwnProperty.call(after, key)
+
+          if (inBefore && !inAfter) {
+            this.addChange(result, { path: childPath, type: "removed", before: before[key], after: undefined })
+          } else if (!inBefore && inAfter) {
+            this.addChange(result, { path: childPath, type: "added", before: undefined, after: after[key] })
+          } else {
+            this.compare(before[key], after[key], childPath, result)
+          }
+        })
+        return
+      }
+
+      if (!this.isEqual(before, after)) {
+        this.addChange(result, { path: path || "(root)", type: "changed", before, after })
+      }
+    }
+
+    addChange(result, change) {
+      if (result.changes.length >= this.maxChanges) {
+        result.truncated = true
+        return
+      }
+      result.changes.push(change)
+    }
+
+    isContainer(value) {
+      return value !== null && typeof value === "object"
+    }
+
+    isEqual(before, after) {
+      if (this.isContainer(before) || this.isContainer(after)) {
+        return JSON.stringify(before) === JSON.stringify(after)
+      }
+      return before === after
+    }
+
+    // deliveryGroups.items[0].selectedDeliveryMethod
+    joinPath(path, key) {
+      if (typeof key === "number") return `${path}[${key}]`
+      if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`
+      return path ? `${path}.${key}` : key
+    }
+
+    // Short single-line rendering of a value for display
+    formatValue(value, maxLength = 80) {
+      if (value === undefined) return "undefined"
+      const text = JSON.stringify(value) ?? String(value)
+      return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+    }
+  }
+
+  // Export for use in content script
+  window.JsonDiff = JsonDiff
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("JsonDiffReady", {
+      detail: { JsonDiff },
+    }),
+  )
+})()
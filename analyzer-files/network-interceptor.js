@@ -5,6 +5,10 @@
   const originalFetch = window.fetch
   const originalXHROpen = XMLHttpRequest.prototype.open
   const originalXHRSend = XMLHttpRequest.prototype.send
+  const originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader
+
+  // Response headers Salesforce uses to identify the server-side request (ApexLog.RequestIdentifier, EventLogFile REQUEST_ID)
+  const REQUEST_ID_HEADERS = ["x-sfdc-request-id", "x-request-id", "sfdc-request-id"]
 
   // Helper function to extract meaningful URL name
   function extractUrlName(url) {
@@ -59,24 +63,284 @@
     }
   }
 
+  // Helper function to normalize Headers objects, [name, value] pairs and plain objects
+  function headersToObject(headers) {
+    const result = {}
+    if (!headers) return result
+
+    try {
+      if (typeof Headers !== "undefined" && headers instanceof Headers) {
+        headers.forEach((value, name) => {
+          result[name.toLowerCase()] = value
+        })
+      } else if (Array.isArray(headers)) {
+        headers.forEach(([name, value]) => {
+          if (name) result[String(name).toLowerCase()] = String(value)
+        })
+      } else if (typeof headers === "object") {
+        Object.entries(headers).forEach(([name, value]) => {
+          result[name.toLowerCase()] = String(value)
+        })
+      }
+    } catch (error) {
+      console.warn("Failed to read headers:", error)
+    }
+
+    return result
+  }
+
+  // Helper function to parse the CRLF-separated string from getAllResponseHeaders()
+  function parseRawHeaders(rawHeaders) {
+    const result = {}
+    if (!rawHeaders) return result
+
+    rawHeaders
+      .trim()
+      .split(/[\r\n]+/)
+      .forEach((line) => {
+        const separator = line.indexOf(":")
+        if (separator <= 0) return
+        const name = line.slice(0, separator).trim().toLowerCase()
+        const value = line.slice(separator + 1).trim()
+        // Repeated headers are combined the same way Headers.get() does
+        result[name] = result[name] !== undefined ? `${result[name]}, ${value}` : value
+      })
+
+    return result
+  }
+
+  // Content types whose bodies are worth reading as text
+  const TEXT_CONTENT_TYPE = /json|text|xml|javascript|x-www-form-urlencoded/i
+
+  // Helper function to flatten FormData/URLSearchParams entries; repeated names become arrays
+  function entriesToObject(entries) {
+    const result = {}
+    for (const [name, value] of entries) {
+      const entry =
+        typeof Blob !== "undefined" && value instanceof Blob
+          ? { fileName: value.name || null, type: value.type || null, size: value.size }
+          : value
+      if (result[name] === undefined) {
+        result[name] = entry
+      } else {
+        result[name] = [].concat(result[name], entry)
+      }
+    }
+    return result
+  }
+
+  // Helper function to turn any fetch/XHR body into a postMessage-safe { body, bodyType }
+  async function serializeBody(body) {
+    if (body === undefined || body === null) return { body: null, bodyType: null }
+
+    if (typeof body === "string") {
+      const parsed = safeParse(body)
+      return { body: parsed, bodyType: parsed !== body ? "json" : "text" }
+    }
+    if (typeof URLSearchParams !== "undefined" && body instanceof URLSearchParams) {
+      return { body: entriesToObject(body), bodyType: "urlencoded" }
+    }
+    if (typeof FormData !== "undefined" && body instanceof FormData) {
+      return { body: entriesToObject(body), bodyType: "form-data" }
+    }
+    if (typeof Blob !== "undefined" && body instanceof Blob) {
+      if (TEXT_CONTENT_TYPE.test(body.type)) {
+        return { body: safeParse(await body.text()), bodyType: "blob" }
+      }
+      return { body: { fileName: body.name || null, type: body.type || null, size: body.size }, bodyType: "binary" }
+    }
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      return { body: { type: body.constructor.name, size: body.byteLength }, bodyType: "binary" }
+    }
+    if (typeof ReadableStream !== "undefined" && body instanceof ReadableStream) {
+      // Reading a stream would consume it for the page
+      return { body: null, bodyType: "stream" }
+    }
+    if (typeof Document !== "undefined" && body instanceof Document) {
+      return { body: new XMLSerializer().serializeToString(body), bodyType: "document" }
+    }
+
+    return { body: safeParse(body), bodyType: typeof body }
+  }
+
+  // Helper function to read the body of a Request instance from a clone taken before fetch consumes it
+  async function serializeRequestBody(requestClone) {
+    if (!requestClone || !requestClone.body) return { body: null, bodyType: null }
+
+    const contentType = requestClone.headers.get("content-type") || ""
+    if (/multipart\/form-data/i.test(contentType)) {
+      return { ...(await serializeBody(await requestClone.formData())), bodyType: "form-data" }
+    }
+    if (/x-www-form-urlencoded/i.test(contentType)) {
+      return serializeBody(new URLSearchParams(await requestClone.text()))
+    }
+    if (!contentType || TEXT_CONTENT_TYPE.test(contentType)) {
+      return serializeBody(await requestClone.text())
+    }
+    return serializeBody(await requestClone.blob())
+  }
+
+  function extractRequestId(responseHeaders) {
+    const name = REQUEST_ID_HEADERS.find((header) => responseHeaders[header])
+    return name ? responseHeaders[name] : null
+  }
+
+  // Mock rules pushed by the content script (SFCC_MOCK_RULES); only enabled rules for this storefront
+  let mockRules = []
+  let mockAnalyzer = null
+  let mockCustomCallTypes = []
+
+  // Responses that must not carry a body
+  const NULL_BODY_STATUSES = [101, 204, 205, 304]
+
+  function setMockRules(rules, customCallTypes) {
+    mockCustomCallTypes = Array.isArray(customCallTypes) ? customCallTypes : []
+    if (mockAnalyzer) mockAnalyzer.loadCustomCallTypes(mockCustomCallTypes)
+
+    mockRules = (Array.isArray(rules) ? rules : []).map((rule) => {
+      let pattern = null
+      try {
+        pattern = rule.urlPattern ? new RegExp(rule.urlPattern, "i") : null
+      } catch (error) {
+        console.warn(`Invalid URL pattern in mock rule "${rule.name}":`, error)
+      }
+      return { ...rule, pattern }
+    })
+  }
+
+  // Request-side call type; response matchers cannot apply before the call is made
+  function getRequestCallType(url, method, body) {
+    if (!mockAnalyzer && window.CheckoutCallAnalyzer) {
+      mockAnalyzer = new window.CheckoutCallAnalyzer()
+      mockAnalyzer.loadCustomCallTypes(mockCustomCallTypes)
+    }
+    if (!mockAnalyzer) return null
+
+    try {
+      return mockAnalyzer.analyzeCall({ url, method, requestBody: body, status: 0, response: null }).callType || null
+    } catch (error) {
+      console.warn("Failed to classify request for mocking:", error)
+      return null
+    }
+  }
+
+  // First enabled rule whose URL, method, payload and call type predicates all match
+  function findMockRule(url, method, body) {
+    return (
+      mockRules.find((rule) => {
+        if (rule.urlPattern && (!rule.pattern || !rule.pattern.test(url))) return false
+        if (rule.methods && rule.methods.length > 0 && !rule.methods.includes(method)) return false
+        if (rule.payloadContains && !safeStringify(body ?? "").includes(rule.payloadContains)) return false
+        if (rule.callType && getRequestCallType(url, method, body) !== rule.callType) return false
+        return true
+      }) || null
+    )
+  }
+
+  function describeMock(rule) {
+    return { ruleId: rule.id, name: rule.name, action: rule.action }
+  }
+
+  function mockResponseHeaders(rule) {
+    return { "content-type": "application/json", "x-sfcc-mock": rule.name, ...(rule.responseHeaders || {}) }
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+  }
+
+  // Apply a rule to a fetch; send() performs the real request
+  async function applyFetchMock(rule, send) {
+    if (rule.delayMs > 0) await sleep(rule.delayMs)
+
+    switch (rule.action) {
+      case "drop":
+        // What fetch throws for a network failure or a timed-out connection
+        throw new TypeError("Failed to fetch")
+      case "respond": {
+        const status = rule.status || 200
+        return new Response(NULL_BODY_STATUSES.includes(status) ? null : rule.responseBody || "", {
+          status,
+          statusText: "Mocked",
+          headers: mockResponseHeaders(rule),
+        })
+      }
+      case "status": {
+        const response = await send()
+        const body = NULL_BODY_STATUSES.includes(rule.status) ? null : await response.blob()
+        return new Response(body, { status: rule.status, statusText: "Mocked", headers: response.headers })
+      }
+      default:
+        // "delay" only adds latency
+        return send()
+    }
+  }
+
+  // Settle an XHR without sending it; handlers and listeners fire as for a real response
+  function settleMockedXHR(xhr, rule) {
+    const failed = rule.action === "drop"
+    const text = failed ? "" : rule.responseBody || ""
+    const define = (name, value) => Object.defineProperty(xhr, name, { value, configurable: true })
+
+    define("readyState", 4)
+    define("status", failed ? 0 : rule.status || 200)
+    define("statusText", failed ? "" : "Mocked")
+    define("responseText", text)
+    define("response", xhr.responseType === "json" ? safeParse(text || "null") : text)
+    define("getAllResponseHeaders", () =>
+      failed
+        ? ""
+        : Object.entries(mockResponseHeaders(rule))
+            .map(([name, value]) => `${name}: ${value}`)
+            .join("\r\n"),
+    )
+
+    ;["readystatechange", failed ? "error" : "load", "loadend"].forEach((type) => {
+      xhr.dispatchEvent(new Event(type))
+    })
+  }
+
   // Intercept fetch
   window.fetch = async function (...args) {
     const startTime = performance.now()
     const [resource, options = {}] = args
 
-    const url = typeof resource === "string" ? resource : resource.url
-    const method = options.method || "GET"
-    const requestHeaders = options.headers || {}
-    const requestBody = options.body
+    const isRequest = typeof Request !== "undefined" && resource instanceof Request
+    // Set by replayRequest so the captured call can be linked to the one it replays
+    const replayId = options._sfccReplayId || null
+    const url = isRequest ? resource.url : String(resource)
+    const method = (options.method || (isRequest ? resource.method : "GET")).toUpperCase()
+    const credentials = options.credentials || (isRequest ? resource.credentials : "same-origin")
+    const mode = options.mode || (isRequest ? resource.mode : "cors")
+    // Init headers replace a Request's headers of the same name
+    const requestHeaders = {
+      ...(isRequest ? headersToObject(resource.headers) : {}),
+      ...headersToObject(options.headers),
+    }
 
-    // Parse request body if it's a string
-    let parsedRequestBody = null
-    if (requestBody) {
-      parsedRequestBody = safeParse(requestBody)
+    // An init body replaces the Request's; clone before fetch consumes the Request body
+    let requestBodyPromise
+    try {
+      requestBodyPromise =
+        options.body !== undefined || !isRequest
+          ? serializeBody(options.body)
+          : serializeRequestBody(resource.bodyUsed ? null : resource.clone())
+    } catch (error) {
+      requestBodyPromise = Promise.reject(error)
     }
+    const readRequestBody = () =>
+      requestBodyPromise.catch((error) => {
+        console.warn("Failed to read request body:", error)
+        return { body: null, bodyType: null }
+      })
 
+    let mockRule = null
     try {
-      const response = await originalFetch.apply(this, args)
+      // Payload predicates need the body, so only wait for it while rules are active
+      mockRule = mockRules.length > 0 ? findMockRule(url, method, (await readRequestBody()).body) : null
+      const response = mockRule
+        ? await applyFetchMock(mockRule, () => originalFetch.apply(this, args))
+        : await originalFetch.apply(this, args)
       const endTime = performance.now()
       const duration = Math.round(endTime - startTime)
 
@@ -91,18 +355,29 @@
         console.warn("Failed to read response body:", error)
       }
 
+      const responseHeaders = headersToObject(response.headers)
+      const { body: parsedRequestBody, bodyType: requestBodyType } = await readRequestBody()
+
       // Create call data object
       const callData = {
         url: url,
         urlName: extractUrlName(url),
         method: method,
+        credentials: credentials,
+        mode: mode,
         status: response.status,
         duration: duration,
         timestamp: Date.now(),
+        serverDate: responseHeaders.date || null, // Used to estimate browser/server clock skew
+        requestId: extractRequestId(responseHeaders),
         requestHeaders: requestHeaders,
+        responseHeaders: responseHeaders,
         requestBody: parsedRequestBody,
+        requestBodyType: requestBodyType,
         responseBody: responseData,
         response: responseData, // Keep both for backward compatibility
+        replayId: replayId,
+        mocked: mockRule ? describeMock(mockRule) : null,
       }
 
       // Send to content script
@@ -118,20 +393,28 @@
     } catch (error) {
       const endTime = performance.now()
       const duration = Math.round(endTime - startTime)
+      const { body: parsedRequestBody, bodyType: requestBodyType } = await readRequestBody()
 
       // Create error call data
       const callData = {
         url: url,
         urlName: extractUrlName(url),
         method: method,
+        credentials: credentials,
+        mode: mode,
         status: 0,
         duration: duration,
         timestamp: Date.now(),
+        requestId: null,
         requestHeaders: requestHeaders,
+        responseHeaders: {},
         requestBody: parsedRequestBody,
+        requestBodyType: requestBodyType,
         responseBody: null,
         response: null,
         error: error.message,
+        replayId: replayId,
+        mocked: mockRule ? describeMock(mockRule) : null,
       }
 
       // Send to content script
@@ -152,19 +435,28 @@
     this._sfccMethod = method
     this._sfccUrl = url
     this._sfccStartTime = performance.now()
+    this._sfccRequestHeaders = {}
     return originalXHROpen.call(this, method, url, ...args)
   }
 
-  XMLHttpRequest.prototype.send = function (body) {
-    
-    let parsedRequestBody = null
-
-    if (body) {
-      parsedRequestBody = safeParse(body)
+  XMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+    if (this._sfccRequestHeaders) {
+      const headerName = String(name).toLowerCase()
+      // XHR appends repeated headers rather than replacing them
+      this._sfccRequestHeaders[headerName] =
+        this._sfccRequestHeaders[headerName] !== undefined
+          ? `${this._sfccRequestHeaders[headerName]}, ${value}`
+          : String(value)
     }
+    return originalXHRSetRequestHeader.call(this, name, value)
+  }
 
-    // Store request data
-    this._sfccRequestBody = parsedRequestBody
+  XMLHttpRequest.prototype.send = function (body) {
+    // Blob bodies are read asynchronously; the call is posted once this settles
+    this._sfccRequestBody = serializeBody(body).catch((error) => {
+      console.warn("Failed to read XHR request body:", error)
+      return { body: null, bodyType: null }
+    })
 
     // Override onreadystatechange to capture response
     const originalOnReadyStateChange = this.onreadystatechange
@@ -176,33 +468,54 @@
 
         let responseData = null
         try {
-          responseData = this.responseText ? safeParse(this.responseText) : null
+          if (this.responseType === "json") {
+            responseData = this.response
+          } else if (!this.responseType || this.responseType === "text") {
+            responseData = this.responseText ? safeParse(this.responseText) : null
+          }
         } catch (error) {
           console.warn("Failed to parse XHR response:", error)
         }
 
+        // Forced status is applied before the page's own handler sees the response
+        if (this._sfccMock?.action === "status") {
+          Object.defineProperty(this, "status", { value: this._sfccMock.status, configurable: true })
+          Object.defineProperty(this, "statusText", { value: "Mocked", configurable: true })
+        }
+
+        const responseHeaders = parseRawHeaders(this.getAllResponseHeaders())
+
         // Create call data object
         const callData = {
           url: this._sfccUrl,
           urlName: extractUrlName(this._sfccUrl),
-          method: this._sfccMethod,
+          method: String(this._sfccMethod).toUpperCase(),
+          credentials: this.withCredentials ? "include" : "same-origin",
           status: this.status,
           duration: duration,
           timestamp: Date.now(),
-          requestHeaders: {}, // XHR headers are harder to capture
-          requestBody: this._sfccRequestBody,
+          serverDate: responseHeaders.date || null,
+          requestId: extractRequestId(responseHeaders),
+          requestHeaders: { ...this._sfccRequestHeaders },
+          responseHeaders: responseHeaders,
           responseBody: responseData,
           response: responseData, // Keep both for backward compatibility
+          mocked: this._sfccMock ? describeMock(this._sfccMock) : null,
         }
 
-        // Send to content script
-        window.postMessage(
-          {
-            type: "SFCC_NETWORK_CALL",
-            callData: callData,
-          },
-          "*",
-        )
+        this._sfccRequestBody.then(({ body: requestBody, bodyType }) => {
+          callData.requestBody = requestBody
+          callData.requestBodyType = bodyType
+
+          // Send to content script
+          window.postMessage(
+            {
+              type: "SFCC_NETWORK_CALL",
+              callData: callData,
+            },
+            "*",
+          )
+        })
       }
 
       // Call original handler if it exists
@@ -211,7 +524,83 @@
       }
     }
 
+    const method = String(this._sfccMethod).toUpperCase()
+    // Blob bodies can't be read synchronously; string and form bodies can still match payload predicates
+    this._sfccMock =
+      mockRules.length > 0 ? findMockRule(this._sfccUrl, method, typeof body === "string" ? safeParse(body) : body) : null
+
+    if (this._sfccMock) {
+      const rule = this._sfccMock
+      const run = () => {
+        if (rule.action === "respond" || rule.action === "drop") {
+          settleMockedXHR(this, rule)
+        } else {
+          originalXHRSend.call(this, body)
+        }
+      }
+      if (rule.delayMs > 0) {
+        setTimeout(run, rule.delayMs)
+      } else {
+        run()
+      }
+      return
+    }
+
     return originalXHRSend.call(this, body)
   }
 
+  // Rebuild a body from its captured representation (see serializeBody)
+  function deserializeBody(body, bodyType) {
+    if (body === null || body === undefined) return undefined
+
+    if (bodyType === "urlencoded" || bodyType === "form-data") {
+      const form = bodyType === "urlencoded" ? new URLSearchParams() : new FormData()
+      Object.entries(body).forEach(([name, value]) => {
+        ;[].concat(value).forEach((entry) => form.append(name, entry))
+      })
+      return form
+    }
+
+    return typeof body === "string" ? body : JSON.stringify(body)
+  }
+
+  // Re-issue a captured request from the page so it carries the shopper's cookies and CSRF headers.
+  // It goes through the wrapped fetch, so the result is captured like any other call.
+  function replayRequest(request) {
+    const headers = { ...request.headers }
+    delete headers["content-length"]
+    // FormData sets its own multipart boundary
+    if (request.bodyType === "form-data") delete headers["content-type"]
+
+    const method = (request.method || "GET").toUpperCase()
+    window
+      .fetch(request.url, {
+        method,
+        headers,
+        body: method === "GET" || method === "HEAD" ? undefined : deserializeBody(request.body, request.bodyType),
+        credentials: request.credentials || "same-origin",
+        _sfccReplayId: request.replayId,
+      })
+      .catch(() => {
+        // Failures are already captured by the fetch wrapper
+      })
+  }
+
+  // This file also runs as a content script; only the copy injected into the page replays,
+  // otherwise every request would be sent twice
+  const isExtensionWorld = !!(window.chrome && window.chrome.runtime && window.chrome.runtime.id)
+  if (!isExtensionWorld) {
+    window.addEventListener("message", (event) => {
+      if (event.source !== window) return
+      if (event.data?.type === "SFCC_REPLAY_REQUEST") {
+        replayRequest(event.data.request)
+      } else if (event.data?.type === "SFCC_MOCK_RULES") {
+        setMockRules(event.data.rules, event.data.customCallTypes)
+      }
+    })
+
+    // Rules may have been posted before this script loaded
+    window.postMessage({ type: "SFCC_MOCK_RULES_REQUEST" }, "*")
+  }
+
 })()
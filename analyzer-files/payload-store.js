@@ -0,0 +1,353 @@
+// Payload store - ApexLog bodies and large call payloads in IndexedDB, referenced from stored sessions
+;(() => {
+
+  const DB_NAME = "sfcc-payloads"
+  const DB_VERSION = 1
+  const PAYLOADS = "payloads" // { key, body }
+  const ENTRIES = "entries" // { key, kind, size, createdAt, lastAccess } - scanned for usage and eviction
+
+  const DEFAULT_MAX_BYTES = 250 * 1024 * 1024
+  // Call bodies above this size (serialized) are moved out of the session
+  const LARGE_PAYLOAD_BYTES = 64 * 1024
+  const CALL_PAYLOAD_FIELDS = ["requestBody", "responseBody", "response"]
+
+  // Primitive operations a content script may forward to the background worker
+  const REMOTE_METHODS = ["putMany", "get", "getMany", "missing", "usage", "clear"]
+
+  function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result)
+      idbRequest.onerror = () => reject(idbRequest.error)
+    })
+  }
+
+  function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+
+  class PayloadStore {
+    constructor(options = {}) {
+      this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES
+      this.dbPromise = null
+      this.payloadKeys = new WeakMap() // call payload object -> { key, text } so unchanged payloads are not re-hashed
+    }
+
+    // IndexedDB is per origin: extension pages and the worker share one database, content scripts go through the worker
+    static create(options) {
+      if (typeof indexedDB !== "undefined" && self.location?.protocol === "chrome-extension:") {
+        return new PayloadStore(options)
+      }
+      if (typeof chrome !== "undefined" && chrome.runtime?.id && chrome.runtime.sendMessage) {
+        return new RemotePayloadStore(options)
+      }
+      return null
+    }
+
+    open() {
+      if (!this.dbPromise) {
+        const openRequest = indexedDB.open(DB_NAME, DB_VERSION)
+        openRequest.onupgradeneeded = () => {
+          const db = openRequest.result
+          db.createObjectStore(PAYLOADS, { keyPath: "key" })
+          db.createObjectStore(ENTRIES, { keyPath: "key" }).createIndex("lastAccess", "lastAccess")
+        }
+        this.dbPromise = request(openRequest)
+      }
+      return this.dbPromise
+    }
+
+    // payloads: [{ key, body, kind }] - bodies are strings
+    async putMany(payloads) {
+      if (payloads.length === 0) return
+
+      const db = await this.open()
+      const transaction = db.transaction([PAYLOADS, ENTRIES], "readwrite")
+      const now = Date.now()
+      payloads.forEach(({ key, body, kind }) => {
+        transaction.objectStore(PAYLOADS).put({ key, body })
+        transaction
+          .objectStore(ENTRIES)
+          .put({ key, kind: kind || "payload", size: body.length, createdAt: now, lastAccess: now })
+      })
+      await transactionDone(transaction)
+
+      await this.evict()
+    }
+
+    async get(key) {
+      const [body] = await this.getMany([key])
+      return body
+    }
+
+    // Bodies in key order, null for evicted keys; reading a payload marks it recently used
+    async getMany(keys) {
+      if (keys.length === 0) return []
+
+      const db = await this.open()
+      const transaction = db.transaction([PAYLOADS, ENTRIES], "readwrite")
+      const entries = transaction.objectStore(ENTRIES)
+      const now = Date.now()
+
+      const payloadRequests = keys.map((key) => transaction.objectStore(PAYLOADS).get(key))
+      keys.forEach((key) => {
+        const entryRequest = entries.get(key)
+        entryRequest.onsuccess = () => {
+          if (entryRequest.result) entries.put({ ...entryRequest.result, lastAccess: now })
+        }
+      })
+      await transactionDone(transaction)
+
+      return payloadRequests.map((payloadRequest) => payloadRequest.result?.body ?? null)
+    }
+
+    async missing(keys) {
+      if (keys.length === 0) return []
+
+      const db = await this.open()
+      const entries = db.transaction(ENTRIES).objectStore(ENTRIES)
+      const found = await Promise.all(keys.map((key) => request(entries.getKey(key))))
+      return keys.filter((key, index) => found[index] === undefined)
+    }
+
+    // Least recently used payloads go first once the store is over its size budget
+    async evict() {
+      const db = await this.open()
+      const entries = await request(db.transaction(ENTRIES).objectStore(ENTRIES).getAll())
+      let total = entries.reduce((sum, entry) => sum + entry.size, 0)
+      if (total <= this.maxBytes) return 0
+
+      const victims = []
+      entries.sort((a, b) => a.lastAccess - b.lastAccess)
+      for (const entry of entries) {
+        if (total <= this.maxBytes) break
+        victims.push(entry.key)
+        total -= entry.size
+      }
+
+      const transaction = db.transaction([PAYLOADS, ENTRIES], "readwrite")
+      victims.forEach((key) => {
+        transaction.objectStore(PAYLOADS).delete(key)
+        transaction.objectStore(ENTRIES).delete(key)
+      })
+      await transactionDone(transaction)
+
+      console.log(`🧹 Evicted ${victims.length} cached payload(s) to stay under ${this.maxBytes} bytes`)
+      return victims.length
+    }
+
+    async usage() {
+      const db = await this.open()
+      const entries = await request(db.transaction(ENTRIES).objectStore(ENTRIES).getAll())
+      const byKind = {}
+      entries.forEach((entry) => {
+        byKind[entry.kind] = byKind[entry.kind] || { count: 0, bytes: 0 }
+        byKind[entry.kind].count++
+        byKind[entry.kind].bytes += entry.size
+      })
+
+      return {
+        count: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        maxBytes: this.maxBytes,
+        byKind,
+        oldestAccess: entries.length > 0 ? Math.min(...entries.map((entry) => entry.lastAccess)) : null,
+      }
+    }
+
+    async clear() {
+      const db = await this.open()
+      const transaction = db.transaction([PAYLOADS, ENTRIES], "readwrite")
+      transaction.objectStore(PAYLOADS).clear()
+      transaction.objectStore(ENTRIES).clear()
+      await transactionDone(transaction)
+    }
+
+    // Logs are keyed by ApexLog ID; bodies without an ID (imported files) by content hash
+    async getLogKey(log) {
+      return log.Id ? `log:${log.Id}` : `sha256:${await this.hash(log.body)}`
+    }
+
+    async hash(text) {
+      const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))
+      return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("")
+    }
+
+    // Store log bodies and return copies that keep only a reference. The execution tree is
+    // dropped too; the panel re-parses it from the body when a log is expanded.
+    async dehydrateLogs(logs) {
+      const payloads = []
+      const stored = await Promise.all(logs.map((log) => this.dehydrateLog(log, payloads)))
+      await this.putMissing(payloads)
+      return stored
+    }
+
+    async dehydrateLog(log, payloads) {
+      if (!log || typeof log.body !== "string") return log
+
+      const key = await this.getLogKey(log)
+      payloads.push({ key, body: log.body, kind: "log" })
+
+      const { body, ...reference } = log
+      if (reference.parsed?.tree) {
+        const { tree, ...summary } = reference.parsed
+        reference.parsed = summary
+      }
+      return { ...reference, bodyRef: key, bodySize: body.length }
+    }
+
+    async dehydrateCall(call, payloads) {
+      if (!call || !crypto.subtle) return call
+
+      let stored = call
+      for (const field of CALL_PAYLOAD_FIELDS) {
+        const value = call[field]
+        if (value === null || value === undefined || value.$payloadRef) continue
+
+        const payload = await this.getCallPayload(value)
+        if (!payload) continue
+
+        payloads.push({ key: payload.key, body: payload.text, kind: "payload" })
+        stored = { ...stored, [field]: { $payloadRef: payload.key, size: payload.text.length } }
+      }
+      return stored
+    }
+
+    async getCallPayload(value) {
+      const cacheable = typeof value === "object"
+      if (cacheable && this.payloadKeys.has(value)) return this.payloadKeys.get(value)
+
+      const text = JSON.stringify(value)
+      const payload = text.length > LARGE_PAYLOAD_BYTES ? { key: `sha256:${await this.hash(text)}`, text } : null
+      if (cacheable) this.payloadKeys.set(value, payload)
+      return payload
+    }
+
+    // Stored copy of a session: log bodies and large call payloads replaced by references
+    async dehydrateSession(session) {
+      const payloads = []
+      const dehydrateCorrelation = async (correlation) => ({
+        ...correlation,
+        networkCall: await this.dehydrateCall(correlation.networkCall, payloads),
+        salesforceLog: await this.dehydrateLog(correlation.salesforceLog, payloads),
+      })
+
+      const stored = {
+        ...session,
+        networkCalls: await Promise.all((session.networkCalls || []).map((call) => this.dehydrateCall(call, payloads))),
+        salesforceLogs: await Promise.all((session.salesforceLogs || []).map((log) => this.dehydrateLog(log, payloads))),
+        correlations: await Promise.all((session.correlations || []).map(dehydrateCorrelation)),
+      }
+
+      await this.putMissing(payloads)
+      return stored
+    }
+
+    // Payloads are immutable under their key, so only send what the store does not have yet
+    async putMissing(payloads) {
+      const unique = [...new Map(payloads.map((payload) => [payload.key, payload])).values()]
+      if (unique.length === 0) return
+
+      const missing = new Set(await this.missing(unique.map((payload) => payload.key)))
+      await this.putMany(unique.filter((payload) => missing.has(payload.key)))
+    }
+
+    // Restore bodies in place; evicted payloads are flagged rather than left as references
+    async hydrateLogs(logs) {
+      const pending = logs.filter((log) => log?.bodyRef && typeof log.body !== "string")
+      const bodies = await this.getMany(pending.map((log) => log.bodyRef))
+
+      pending.forEach((log, index) => {
+        if (bodies[index] === null) {
+          log.bodyEvicted = true
+          return
+        }
+        log.body = bodies[index]
+        delete log.bodyEvicted
+      })
+      return logs
+    }
+
+    async hydrateCalls(calls) {
+      const slots = []
+      calls.forEach((call) => {
+        CALL_PAYLOAD_FIELDS.forEach((field) => {
+          if (call?.[field]?.$payloadRef) slots.push({ call, field, key: call[field].$payloadRef })
+        })
+      })
+
+      const bodies = await this.getMany(slots.map((slot) => slot.key))
+      slots.forEach(({ call, field }, index) => {
+        if (bodies[index] === null) {
+          call[field] = { ...call[field], evicted: true }
+          return
+        }
+        call[field] = JSON.parse(bodies[index])
+      })
+      return calls
+    }
+
+    async hydrateSession(session) {
+      const correlations = session.correlations || []
+      await Promise.all([
+        this.hydrateCalls([...(session.networkCalls || []), ...correlations.map((c) => c.networkCall).filter(Boolean)]),
+        this.hydrateLogs([...(session.salesforceLogs || []), ...correlations.map((c) => c.salesforceLog).filter(Boolean)]),
+      ])
+      return session
+    }
+  }
+
+  // Content scripts run on the storefront's origin; their payloads live in the extension's database
+  class RemotePayloadStore extends PayloadStore {
+    send(method, args) {
+      return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: "payloadStore", method, args }, (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message))
+          } else if (!response?.success) {
+            reject(new Error(response?.error || "Payload store unavailable"))
+          } else {
+            resolve(response.result)
+          }
+        })
+      })
+    }
+
+    putMany(payloads) {
+      return payloads.length > 0 ? this.send("putMany", [payloads]) : Promise.resolve()
+    }
+
+    getMany(keys) {
+      return keys.length > 0 ? this.send("getMany", [keys]) : Promise.resolve([])
+    }
+
+    missing(keys) {
+      return keys.length > 0 ? this.send("missing", [keys]) : Promise.resolve([])
+    }
+
+    usage() {
+      return this.send("usage", [])
+    }
+
+    clear() {
+      return this.send("clear", [])
+    }
+  }
+
+  PayloadStore.REMOTE_METHODS = REMOTE_METHODS
+  PayloadStore.LARGE_PAYLOAD_BYTES = LARGE_PAYLOAD_BYTES
+
+  // Export for use in content script, popup, workbench and background worker
+  window.PayloadStore = PayloadStore
+  window.RemotePayloadStore = RemotePayloadStore
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("PayloadStoreReady", {
+      detail: { PayloadStore },
+    }),
+  )
+})()
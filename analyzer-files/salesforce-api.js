@@ -5,6 +5,7 @@ class SalesforceAPI {
       this.sessionId = null
       this.isConnected = false
       this.orgId = null
+      this.clockOffset = 0 // Server time minus browser time (ms)
       this.chrome = window.chrome || window.chrome // Declare chrome variable here
   
       // Handle Chrome API availability
@@ -35,7 +36,10 @@ class SalesforceAPI {
       }
     }
   
-    async connect(instanceUrl, sessionId) {
+    // options.refreshAccessToken: async () => new access token, used when Salesforce answers 401 (OAuth accounts)
+    async connect(instanceUrl, sessionId, options = {}) {
+      this.refreshAccessToken = options.refreshAccessToken || null
+
       try {
         console.log("🔗 Attempting to connect to Salesforce...")
         console.log("Instance URL:", instanceUrl)
@@ -51,7 +55,7 @@ class SalesforceAPI {
         const versionUrl = `${this.baseUrl}/services/data/`
         console.log("Version URL:", versionUrl)
   
-        const versionResponse = await fetch(versionUrl, {
+        const versionResponse = await this.authorizedFetch(versionUrl, {
           method: "GET",
           headers: {
             Authorization: `Bearer ${this.sessionId}`,
@@ -96,7 +100,7 @@ class SalesforceAPI {
         const limitsUrl = `${this.baseUrl}/services/data/v58.0/limits`
         console.log("Limits URL:", limitsUrl)
   
-        const limitsResponse = await fetch(limitsUrl, {
+        const limitsResponse = await this.authorizedFetch(limitsUrl, {
           method: "GET",
           headers: {
             Authorization: `Bearer ${this.sessionId}`,
@@ -134,11 +138,10 @@ class SalesforceAPI {
   
         this.orgId = orgResponse.records?.[0]?.Id || "unknown"
   
-        // Store connection info securely
+        // Store connection info (the session ID stays in the credential vault)
         await this.chrome.storage.local.set({
           salesforceConnection: {
             instanceUrl: this.baseUrl,
-            sessionId: this.sessionId,
             isConnected: true,
             connectedAt: Date.now(),
           },
@@ -179,9 +182,42 @@ class SalesforceAPI {
       this.sessionId = null
       this.isConnected = false
       this.orgId = null
+      this.refreshAccessToken = null
   
       await this.chrome.storage.local.remove("salesforceConnection")
     }
+
+    // fetch with the current access token; a 401 refreshes an OAuth token once and retries
+    async authorizedFetch(url, init = {}) {
+      const send = () =>
+        fetch(url, {
+          ...init,
+          headers: { ...init.headers, Authorization: `Bearer ${this.sessionId}` },
+          mode: "cors",
+          credentials: "omit",
+        })
+
+      const response = await send()
+      if (response.status !== 401 || !this.refreshAccessToken) return response
+
+      await this.refreshSession()
+      return send()
+    }
+
+    // Requests that fail together share one refresh
+    refreshSession() {
+      if (!this.refreshPromise) {
+        console.log("🔄 Access token rejected, refreshing...")
+        this.refreshPromise = this.refreshAccessToken()
+          .then((accessToken) => {
+            this.sessionId = accessToken
+          })
+          .finally(() => {
+            this.refreshPromise = null
+          })
+      }
+      return this.refreshPromise
+    }
   
     async makeRequest(endpoint, options = {}) {
       if (!this.isConnected || !this.sessionId) {
@@ -217,7 +253,7 @@ class SalesforceAPI {
           },
         })
   
-        const response = await fetch(url, requestOptions)
+        const response = await this.authorizedFetch(url, requestOptions)
   
         console.log("Response status:", response.status, response.statusText)
         console.log("Response headers:", Object.fromEntries(response.headers.entries()))
@@ -264,6 +300,9 @@ class SalesforceAPI {
           throw new Error(errorMessage)
         }
   
+        // Tooling PATCH and DELETE answer 204 No Content
+        if (response.status === 204) return null
+
         const responseData = await response.json()
         console.log("✅ API response successful")
         return responseData
@@ -294,6 +333,9 @@ class SalesforceAPI {
         endTime = new Date(),
         logLevel = "DEBUG",
         maxRecords = 200, // Increased to get more logs
+        includeApexActions = true, // /webruntime/api/apex/execute logs back decoded Apex action calls
+        cachedLogs = [], // Previously fetched logs whose bodies can be reused
+        loadCachedBody = null, // (log) => body for cached logs that only hold a PayloadStore reference
       } = options
   
       try {
@@ -308,19 +350,19 @@ class SalesforceAPI {
         const startTimeStr = startTime.toISOString()
         const endTimeStr = endTime.toISOString()
   
-        // Filter out /webruntime/api/apex/execute operations (Commerce Cloud performance logs)
+        const operationFilter = includeApexActions ? "" : "AND Operation != '/webruntime/api/apex/execute'"
         const soql = `
           SELECT Id, Application, DurationMilliseconds, Location, LogLength, 
-                 LogUser.Name, Operation, Request, StartTime, Status
+                 LogUser.Name, Operation, Request, RequestIdentifier, StartTime, Status
           FROM ApexLog 
           WHERE StartTime >= ${startTimeStr} 
           AND StartTime <= ${endTimeStr}
-          AND Operation != '/webruntime/api/apex/execute'
+          ${operationFilter}
           ORDER BY StartTime DESC
           LIMIT ${maxRecords}
         `
   
-        console.log("📝 SOQL Query (filtering out /webruntime/api/apex/execute):", soql)
+        console.log("📝 SOQL Query:", soql)
   
         const result = await this.makeRequest(`/services/data/v58.0/query?q=${encodeURIComponent(soql)}`)
         console.log(`📊 Found ${result.totalSize} logs in time window`)
@@ -395,37 +437,7 @@ class SalesforceAPI {
         const logsToProcess = result.records.slice(0, Math.min(20, result.records.length))
         console.log(`📝 Processing ${logsToProcess.length} logs for detailed content`)
   
-        const logsWithContent = await Promise.all(
-          logsToProcess.map(async (log) => {
-            try {
-              const logBody = await this.getLogBody(log.Id)
-              const parsed = this.parseCommerceLogContent(logBody) // Use specialized parser
-  
-              console.log(`📄 log ${log.Id}:`, {
-                request: log.Request,
-                duration: log.DurationMilliseconds,
-                bodyLength: logBody?.length || 0,
-                checkoutEvents: parsed?.checkoutEvents?.length || 0,
-                apiCalls: parsed?.apiCalls?.length || 0,
-                errors: parsed?.errors?.length || 0,
-              })
-  
-              return {
-                ...log,
-                body: logBody,
-                parsed: parsed,
-              }
-            } catch (error) {
-              console.error(`Failed to get log body for ${log.Id}:`, error)
-              return {
-                ...log,
-                body: null,
-                parsed: null,
-                error: error.message,
-              }
-            }
-          }),
-        )
+        const logsWithContent = await this.attachLogBodies(logsToProcess, cachedLogs, loadCachedBody)
   
         console.log("✅ logs processed successfully")
         return {
@@ -438,10 +450,120 @@ class SalesforceAPI {
       }
     }
   
+    // ApexLogs the cursor has not returned yet, oldest first. A log row only appears once its transaction commits,
+    // so a slow transaction can show up after faster ones that started later. Each poll re-reads `lookback` ms
+    // before the newest StartTime seen and leaves out the Ids already returned from that window. Seen Ids are
+    // filtered here rather than in the query, so a busy window cannot push the query past URL or SOQL limits.
+    async getLogsSince(cursor, maxRecords = 50, lookback = 0) {
+      const seen = cursor.seen || {}
+      const idQuery = `
+        SELECT Id FROM ApexLog
+        WHERE StartTime >= ${this.getLogWindowStart(cursor, lookback)}
+        ORDER BY StartTime ASC, Id ASC
+      `
+
+      // Ids are cheap to list; follow nextRecordsUrl until enough unseen ones are found
+      const ids = []
+      let page = await this.makeRequest(`/services/data/v58.0/query?q=${encodeURIComponent(idQuery)}`)
+      while (true) {
+        ;(page.records || []).forEach((record) => {
+          if (ids.length < maxRecords && !Object.hasOwn(seen, record.Id)) ids.push(record.Id)
+        })
+        if (ids.length >= maxRecords || page.done !== false || !page.nextRecordsUrl) break
+        page = await this.makeRequest(page.nextRecordsUrl)
+      }
+
+      if (ids.length === 0) return { records: [], cursor: this.advanceLogCursor(cursor, [], lookback) }
+
+      const soql = `
+        SELECT Id, Application, DurationMilliseconds, Location, LogLength,
+               LogUser.Name, Operation, Request, RequestIdentifier, StartTime, Status
+        FROM ApexLog
+        WHERE Id IN (${ids.map((id) => `'${id}'`).join(", ")})
+        ORDER BY StartTime ASC, Id ASC
+      `
+
+      const result = await this.makeRequest(`/services/data/v58.0/query?q=${encodeURIComponent(soql)}`)
+      const records = result.records || []
+
+      return { records, cursor: this.advanceLogCursor(cursor, records, lookback) }
+    }
+
+    // Cursor { startTime, notBefore, seen } moved past `records`: `seen` maps the Ids returned inside the
+    // look-back window to their StartTime, and drops them once the window has moved on
+    advanceLogCursor(cursor, records, lookback = 0) {
+      const startTime = Math.max(
+        new Date(cursor.startTime).getTime(),
+        ...records.map((log) => new Date(log.StartTime).getTime()),
+      )
+      const next = { ...cursor, startTime: new Date(startTime).toISOString(), seen: {} }
+      const windowStart = new Date(this.getLogWindowStart(next, lookback)).getTime()
+
+      const seen = { ...cursor.seen }
+      records.forEach((log) => {
+        seen[log.Id] = new Date(log.StartTime).getTime()
+      })
+      Object.entries(seen).forEach(([id, time]) => {
+        if (time >= windowStart) next.seen[id] = time
+      })
+      return next
+    }
+
+    getLogWindowStart(cursor, lookback) {
+      const start = new Date(cursor.startTime).getTime() - lookback
+      return new Date(Math.max(start, cursor.notBefore ? new Date(cursor.notBefore).getTime() : start)).toISOString()
+    }
+
+    // Download and parse each log body, reusing bodies already fetched for the same log ID
+    async attachLogBodies(records, cachedLogs = [], loadCachedBody = null) {
+      const cache = new Map(
+        cachedLogs.filter((log) => log.body || (log.bodyRef && loadCachedBody)).map((log) => [log.Id, log]),
+      )
+
+      return Promise.all(
+        records.map(async (log) => {
+          const cached = cache.get(log.Id)
+          const cachedBody = cached && (cached.body ?? (await loadCachedBody(cached).catch(() => null)))
+          if (cachedBody) {
+            return { ...log, body: cachedBody, parsed: cached.parsed || this.parseLogContent(cachedBody) }
+          }
+
+          try {
+            const logBody = await this.getLogBody(log.Id)
+            const parsed = this.parseLogContent(logBody)
+
+            console.log(`📄 log ${log.Id}:`, {
+              request: log.Request,
+              duration: log.DurationMilliseconds,
+              bodyLength: logBody?.length || 0,
+              checkoutEvents: parsed?.checkoutEvents?.length || 0,
+              apiCalls: parsed?.apiCalls?.length || 0,
+              errors: parsed?.errors?.length || 0,
+            })
+
+            return {
+              ...log,
+              body: logBody,
+              parsed: parsed,
+            }
+          } catch (error) {
+            console.error(`Failed to get log body for ${log.Id}:`, error)
+            return {
+              ...log,
+              body: null,
+              parsed: null,
+              error: error.message,
+            }
+          }
+        }),
+      )
+    }
+
     async getLogBody(logId) {
       console.log(`📄 Fetching log body for ${logId}`)
   
-      const response = await fetch(`${this.baseUrl}/services/data/v58.0/sobjects/ApexLog/${logId}/Body`, {
+      const bodyUrl = `${this.baseUrl}/services/data/v58.0/sobjects/ApexLog/${logId}/Body`
+      const response = await this.authorizedFetch(bodyUrl, {
         headers: {
           Authorization: `Bearer ${this.sessionId}`,
           Accept: "text/plain",
@@ -459,206 +581,33 @@ class SalesforceAPI {
       return logBody
     }
   
-    // Specialized parser for Commerce Cloud logs
-    parseCommerceLogContent(logBody) {
-      if (!logBody) return null
-  
-      const lines = logBody.split("\n")
-      const parsed = {
-        errors: [],
-        warnings: [],
-        checkoutEvents: [],
-        apiCalls: [],
-        paymentEvents: [],
-        cartEvents: [],
-        webserviceCalls: [],
-        apexClass: null,
-        userInfo: null,
-        performance: {
-          totalTime: 0,
-          cpuTime: 0,
-          heapSize: 0,
-        },
-      }
-  
-      lines.forEach((line) => {
-        // Extract Apex class from EXTERNAL lines
-        if (line.includes("[EXTERNAL]|apex://")) {
-          const apexMatch = line.match(/apex:\/\/([^/]+)\//)
-          if (apexMatch) {
-            parsed.apexClass = apexMatch[1]
-          }
-        }
-  
-        // Extract user info from USER_INFO lines
-        if (line.includes("|USER_INFO|")) {
-          const userMatch = line.match(/\|([^|]+@[^|]+)\|/)
-          if (userMatch) {
-            parsed.userInfo = userMatch[1]
-          }
-        }
-  
-        // Parse Commerce Cloud specific log patterns
-        if (line.includes("|FATAL_ERROR|") || line.includes("|ERROR|") || line.includes("|EXCEPTION_THROWN|")) {
-          parsed.errors.push({
-            timestamp: this.extractTimestamp(line),
-            message: line,
-            type: "error",
-          })
-        } else if (line.includes("|WARN|")) {
-          parsed.warnings.push({
-            timestamp: this.extractTimestamp(line),
-            message: line,
-            type: "warning",
-          })
-        }
-  
-        // Commerce Cloud specific patterns
-        if (line.includes("checkout") || line.includes("Checkout")) {
-          parsed.checkoutEvents.push({
-            timestamp: this.extractTimestamp(line),
-            event: line,
-            type: "checkout",
-          })
-        }
-  
-        if (line.includes("payment") || line.includes("Payment")) {
-          parsed.paymentEvents.push({
-            timestamp: this.extractTimestamp(line),
-            event: line,
-            type: "payment",
-          })
-        }
-  
-        if (line.includes("cart") || line.includes("Cart")) {
-          parsed.cartEvents.push({
-            timestamp: this.extractTimestamp(line),
-            event: line,
-            type: "cart",
-          })
-        }
-  
-        // API and web service calls
-        if (line.includes("|CALLOUT_REQUEST|") || line.includes("|CALLOUT_RESPONSE|")) {
-          parsed.webserviceCalls.push({
-            timestamp: this.extractTimestamp(line),
-            callout: line,
-            type: "callout",
-          })
-        }
-  
-        // Look for Commerce Cloud API patterns
-        if (line.includes("/webruntime/") || line.includes("/commerce/") || line.includes("/services/data/")) {
-          parsed.apiCalls.push({
-            timestamp: this.extractTimestamp(line),
-            call: line,
-            type: "api",
-          })
-        }
-  
-        // Extract performance metrics
-        if (line.includes("Number of SOQL queries:")) {
-          parsed.performance.soqlQueries = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-        if (line.includes("Number of DML statements:")) {
-          parsed.performance.dmlStatements = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-        if (line.includes("Maximum CPU time:")) {
-          parsed.performance.cpuTime = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-        if (line.includes("Maximum heap size:")) {
-          parsed.performance.heapSize = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-      })
-  
-      return parsed
-    }
-  
-    // Keep the original parser as fallback
+    // Parse a log body with the shared ApexLog parser
     parseLogContent(logBody) {
       if (!logBody) return null
-  
-      const lines = logBody.split("\n")
-      const parsed = {
-        errors: [],
-        warnings: [],
-        systemEvents: [],
-        userActions: [],
-        dmlOperations: [],
-        soqlQueries: [],
-        webserviceCalls: [],
-        performance: {
-          totalTime: 0,
-          cpuTime: 0,
-          heapSize: 0,
-        },
+
+      if (!this.logParser) {
+        this.logParser = new window.ApexLogParser()
       }
-  
-      lines.forEach((line) => {
-        // Parse different log line types
-        if (line.includes("|FATAL_ERROR|") || line.includes("|ERROR|") || line.includes("|EXCEPTION_THROWN|")) {
-          parsed.errors.push({
-            timestamp: this.extractTimestamp(line),
-            message: line,
-            type: "error",
-          })
-        } else if (line.includes("|WARN|")) {
-          parsed.warnings.push({
-            timestamp: this.extractTimestamp(line),
-            message: line,
-            type: "warning",
-          })
-        } else if (line.includes("|DML_BEGIN|") || line.includes("|DML_END|")) {
-          parsed.dmlOperations.push({
-            timestamp: this.extractTimestamp(line),
-            operation: line,
-            type: "dml",
-          })
-        } else if (line.includes("|SOQL_EXECUTE_BEGIN|") || line.includes("|SOQL_EXECUTE_END|")) {
-          parsed.soqlQueries.push({
-            timestamp: this.extractTimestamp(line),
-            query: line,
-            type: "soql",
-          })
-        } else if (line.includes("|CALLOUT_REQUEST|") || line.includes("|CALLOUT_RESPONSE|")) {
-          parsed.webserviceCalls.push({
-            timestamp: this.extractTimestamp(line),
-            callout: line,
-            type: "callout",
-          })
-        } else if (line.includes("|USER_INFO|") || line.includes("|ENTERING_MANAGED_PKG|")) {
-          parsed.systemEvents.push({
-            timestamp: this.extractTimestamp(line),
-            event: line,
-            type: "system",
-          })
-        }
-  
-        // Extract performance metrics
-        if (line.includes("Number of SOQL queries:")) {
-          parsed.performance.soqlQueries = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-        if (line.includes("Number of DML statements:")) {
-          parsed.performance.dmlStatements = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-        if (line.includes("Maximum CPU time:")) {
-          parsed.performance.cpuTime = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-        if (line.includes("Maximum heap size:")) {
-          parsed.performance.heapSize = Number.parseInt(line.match(/\d+/)?.[0] || 0)
-        }
-      })
-  
-      return parsed
+
+      return this.logParser.parseSummary(logBody)
     }
   
-    extractTimestamp(line) {
-      // Extract timestamp from log line format: HH:mm:ss.SSS
-      const match = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3})/)
-      return match ? match[1] : null
+    // Offset applied to browser timestamps before comparing them with ApexLog.StartTime, in the same
+    // direction as CorrelationEngine.getServerTime (pass CorrelationEngine.getClockSkew().offset)
+    setClockOffset(offset) {
+      this.clockOffset = offset || 0
     }
-  
-    async correlateWithCheckout(checkoutCalls, timeWindow = 15 * 60 * 1000) {
+
+    getServerTime(timestamp) {
+      return new Date(timestamp).getTime() + this.clockOffset
+    }
+
+    // options.clockOffset: server time minus browser time (ms), kept for later scoring calls
+    async correlateWithCheckout(checkoutCalls, timeWindow = 15 * 60 * 1000, options = {}) {
+      if (options.clockOffset !== undefined) {
+        this.setClockOffset(options.clockOffset)
+      }
+
       // Extended to 15 minutes
       if (!checkoutCalls.length) {
         console.log("⚠️ No checkout calls provided for correlation")
@@ -679,9 +628,9 @@ class SalesforceAPI {
   
       const correlations = []
   
-      // Get the time range of checkout calls
-      const checkoutStart = Math.min(...checkoutCalls.map((call) => call.timestamp))
-      const checkoutEnd = Math.max(...checkoutCalls.map((call) => call.timestamp))
+      // Get the time range of checkout calls on the server clock
+      const checkoutStart = Math.min(...checkoutCalls.map((call) => this.getServerTime(call.timestamp)))
+      const checkoutEnd = Math.max(...checkoutCalls.map((call) => this.getServerTime(call.timestamp)))
   
       // Expand the time window significantly
       const logStart = new Date(checkoutStart - timeWindow)
@@ -693,6 +642,7 @@ class SalesforceAPI {
         logStart: logStart.toISOString(),
         logEnd: logEnd.toISOString(),
         windowMinutes: Math.round(timeWindow / (1000 * 60)),
+        clockOffsetMs: this.clockOffset,
       })
   
       try {
@@ -714,7 +664,7 @@ class SalesforceAPI {
         let potentialMatches = 0
   
         checkoutCalls.forEach((call) => {
-          const callTime = new Date(call.timestamp)
+          const callTime = new Date(this.getServerTime(call.timestamp))
           console.log(
             `🔍 Analyzing checkout call: ${call.method} ${call.url} (${call.status}) at ${callTime.toISOString()}`,
           )
@@ -860,7 +810,7 @@ class SalesforceAPI {
       }
   
       // Time-based correlation bonus (closer in time = higher score)
-      const timeDiff = Math.abs(new Date(checkoutCall.timestamp).getTime() - new Date(salesforceLog.StartTime).getTime())
+      const timeDiff = Math.abs(this.getServerTime(checkoutCall.timestamp) - new Date(salesforceLog.StartTime).getTime())
       const timeBonus = Math.max(0, 0.3 - timeDiff / (1000 * 60 * 10)) // Bonus decreases over 10 minutes
       score += timeBonus
       if (timeBonus > 0.1) reasons.push("time-proximity")
@@ -942,7 +892,7 @@ class SalesforceAPI {
       }
   
       // Time-based correlation bonus (closer in time = higher score)
-      const timeDiff = Math.abs(new Date(checkoutCall.timestamp).getTime() - new Date(salesforceLog.StartTime).getTime())
+      const timeDiff = Math.abs(this.getServerTime(checkoutCall.timestamp) - new Date(salesforceLog.StartTime).getTime())
       const timeBonus = Math.max(0, 0.2 - timeDiff / (1000 * 60 * 10)) // Bonus decreases over 10 minutes
       score += timeBonus
       if (timeBonus > 0.1) reasons.push("time-proximity")
@@ -149,7 +149,7 @@
   
         const soql = `
           SELECT Id, Application, DurationMilliseconds, Location, LogLength, 
-                 LogUser.Name, Operation, Request, StartTime, Status
+                 LogUser.Name, Operation, Request, RequestIdentifier, StartTime, Status
           FROM ApexLog 
           WHERE StartTime >= ${startTimeStr} 
           AND StartTime <= ${endTimeStr}
@@ -213,134 +213,15 @@
         return await response.text()
       }
   
-      // Parse log content for Commerce Cloud patterns
+      // Parse log content with the shared ApexLog parser
       parseLogContent(logBody) {
         if (!logBody) return null
-  
-        const lines = logBody.split("\n")
-        const parsed = {
-          errors: [],
-          warnings: [],
-          checkoutEvents: [],
-          apiCalls: [],
-          paymentEvents: [],
-          cartEvents: [],
-          webserviceCalls: [],
-          apexClass: null,
-          userInfo: null,
-          performance: {
-            totalTime: 0,
-            cpuTime: 0,
-            heapSize: 0,
-            soqlQueries: 0,
-            dmlStatements: 0,
-          },
+
+        if (!this.logParser) {
+          this.logParser = new window.ApexLogParser()
         }
-  
-        lines.forEach((line) => {
-          // Extract Apex class information
-          if (line.includes("[EXTERNAL]|apex://")) {
-            const apexMatch = line.match(/apex:\/\/([^/]+)\//)
-            if (apexMatch) {
-              parsed.apexClass = apexMatch[1]
-            }
-          }
-  
-          // Extract user information
-          if (line.includes("|USER_INFO|")) {
-            const userMatch = line.match(/\|([^|]+@[^|]+)\|/)
-            if (userMatch) {
-              parsed.userInfo = userMatch[1]
-            }
-          }
-  
-          // Parse error patterns
-          if (line.includes("|FATAL_ERROR|") || line.includes("|ERROR|") || line.includes("|EXCEPTION_THROWN|")) {
-            parsed.errors.push({
-              timestamp: this.extractTimestamp(line),
-              message: line.trim(),
-              type: "error",
-            })
-          } else if (line.includes("|WARN|")) {
-            parsed.warnings.push({
-              timestamp: this.extractTimestamp(line),
-              message: line.trim(),
-              type: "warning",
-            })
-          }
-  
-          // Commerce Cloud specific patterns
-          if (line.toLowerCase().includes("checkout")) {
-            parsed.checkoutEvents.push({
-              timestamp: this.extractTimestamp(line),
-              event: line.trim(),
-              type: "checkout",
-            })
-          }
-  
-          if (line.toLowerCase().includes("payment")) {
-            parsed.paymentEvents.push({
-              timestamp: this.extractTimestamp(line),
-              event: line.trim(),
-              type: "payment",
-            })
-          }
-  
-          if (line.toLowerCase().includes("cart")) {
-            parsed.cartEvents.push({
-              timestamp: this.extractTimestamp(line),
-              event: line.trim(),
-              type: "cart",
-            })
-          }
-  
-          // API and web service calls
-          if (line.includes("|CALLOUT_REQUEST|") || line.includes("|CALLOUT_RESPONSE|")) {
-            parsed.webserviceCalls.push({
-              timestamp: this.extractTimestamp(line),
-              callout: line.trim(),
-              type: "callout",
-            })
-          }
-  
-          // Commerce Cloud API patterns
-          if (line.includes("/webruntime/") || line.includes("/commerce/") || line.includes("/services/data/")) {
-            parsed.apiCalls.push({
-              timestamp: this.extractTimestamp(line),
-              call: line.trim(),
-              type: "api",
-            })
-          }
-  
-          // Performance metrics
-          if (line.includes("Number of SOQL queries:")) {
-            const match = line.match(/(\d+)/)
-            if (match) parsed.performance.soqlQueries = Number.parseInt(match[1])
-          }
-  
-          if (line.includes("Number of DML statements:")) {
-            const match = line.match(/(\d+)/)
-            if (match) parsed.performance.dmlStatements = Number.parseInt(match[1])
-          }
-  
-          if (line.includes("Maximum CPU time:")) {
-            const match = line.match(/(\d+)/)
-            if (match) parsed.performance.cpuTime = Number.parseInt(match[1])
-          }
-  
-          if (line.includes("Maximum heap size:")) {
-            const match = line.match(/(\d+)/)
-            if (match) parsed.performance.heapSize = Number.parseInt(match[1])
-          }
-        })
-  
-        return parsed
-      }
-  
-      // Extract timestamp from log line
-      extractTimestamp(line) {
-        const match = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3})/)
-        return match ? match[1] : null
+
+        return this.logParser.parseSummary(logBody)
       }
   
       // Connection validation
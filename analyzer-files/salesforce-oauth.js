@@ -0,0 +1,154 @@
+// Salesforce OAuth - web server flow with PKCE through chrome.identity, plus refresh-token handling for accounts
+;(() => {
+
+  const LOGIN_HOSTS = {
+    production: "https://login.salesforce.com",
+    sandbox: "https://test.salesforce.com",
+  }
+  const SCOPES = "api refresh_token"
+  const CALLBACK_PATH = "salesforce" // https://<extension-id>.chromiumapp.org/salesforce
+
+  function base64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "")
+  }
+
+  function randomString(byteLength) {
+    return base64Url(crypto.getRandomValues(new Uint8Array(byteLength)))
+  }
+
+  class SalesforceOAuth {
+    // The connected app's callback URL must be set to this
+    static getRedirectUrl() {
+      return chrome.identity.getRedirectURL(CALLBACK_PATH)
+    }
+
+    // My Domain login host if the account has one, otherwise the generic production/sandbox host
+    static getLoginHost(account) {
+      return account.loginHost || LOGIN_HOSTS[account.instanceType] || LOGIN_HOSTS.production
+    }
+
+    static normalizeLoginHost(input) {
+      if (!input) return null
+      const url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`)
+      if (url.protocol !== "https:") throw new Error("Login host must use https")
+      if (!/\.(salesforce|force)\.com$/i.test(url.hostname)) throw new Error("Login host must be a Salesforce domain")
+      return url.origin
+    }
+
+    // Opens the Salesforce login page and exchanges the returned code.
+    // Runs in the background worker: the popup closes as soon as the login window takes focus.
+    async authorize({ loginHost, clientId }) {
+      const verifier = randomString(64)
+      const state = randomString(16)
+      const challenge = base64Url(
+        new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier))),
+      )
+
+      const authorizeUrl = new URL(`${loginHost}/services/oauth2/authorize`)
+      authorizeUrl.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: SalesforceOAuth.getRedirectUrl(),
+        scope: SCOPES,
+        state,
+        code_challenge: challenge,
+        code_challenge_method: "S256",
+        prompt: "login",
+      })
+
+      const redirect = await chrome.identity.launchWebAuthFlow({ url: authorizeUrl.toString(), interactive: true })
+      const params = new URL(redirect).searchParams
+      if (params.get("error")) {
+        throw new Error(params.get("error_description") || params.get("error"))
+      }
+      if (params.get("state") !== state) {
+        throw new Error("Login response did not match the request, try again")
+      }
+
+      return this.requestToken(loginHost, {
+        grant_type: "authorization_code",
+        code: params.get("code"),
+        client_id: clientId,
+        redirect_uri: SalesforceOAuth.getRedirectUrl(),
+        code_verifier: verifier,
+      })
+    }
+
+    // Salesforce does not rotate refresh tokens by default, so the response usually has only an access token
+    async refresh(account) {
+      if (!account.refreshToken) throw new Error("Account has no refresh token, log in again")
+
+      return this.requestToken(SalesforceOAuth.getLoginHost(account), {
+        grant_type: "refresh_token",
+        refresh_token: account.refreshToken,
+        client_id: account.clientId,
+      })
+    }
+
+    async revoke(account) {
+      if (!account.refreshToken) return
+
+      await fetch(`${SalesforceOAuth.getLoginHost(account)}/services/oauth2/revoke`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ token: account.refreshToken }),
+      })
+    }
+
+    async requestToken(loginHost, params) {
+      const response = await fetch(`${loginHost}/services/oauth2/token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        body: new URLSearchParams(params),
+      })
+
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        const message = data.error_description || data.error || `${response.status} ${response.statusText}`
+        throw new Error(`Salesforce token request failed: ${message}`)
+      }
+      return data // { access_token, refresh_token, instance_url, id, issued_at, ... }
+    }
+
+    // SalesforceAPI.connect options for an account: OAuth accounts refresh their access token on 401
+    // and write it back to salesforceAccounts so the popup and the worker pick it up
+    static getConnectOptions(account) {
+      if (account.authType !== "oauth" || !account.refreshToken) return {}
+
+      return {
+        refreshAccessToken: async () => {
+          const tokens = await new SalesforceOAuth().refresh(account)
+          account.sessionId = tokens.access_token
+          if (tokens.refresh_token) account.refreshToken = tokens.refresh_token
+          await SalesforceOAuth.saveAccountTokens(account)
+          return tokens.access_token
+        },
+      }
+    }
+
+    static async saveAccountTokens(account) {
+      const { salesforceAccounts = [] } = await chrome.storage.local.get(["salesforceAccounts"])
+      const updated = salesforceAccounts.map((stored) =>
+        stored.id === account.id
+          ? { ...stored, sessionId: account.sessionId, refreshToken: account.refreshToken, updatedAt: Date.now() }
+          : stored,
+      )
+      await chrome.storage.local.set({ salesforceAccounts: await new window.CredentialVault().sealAccounts(updated) })
+    }
+  }
+
+  SalesforceOAuth.LOGIN_HOSTS = LOGIN_HOSTS
+
+  // Export for use in the popup and background worker
+  window.SalesforceOAuth = SalesforceOAuth
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("SalesforceOAuthReady", {
+      detail: { SalesforceOAuth },
+    }),
+  )
+})()
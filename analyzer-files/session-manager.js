@@ -7,8 +7,10 @@
         this.sessions = []
         this.currentSessionId = null
         this.storageKey = "sfcc_debug_sessions"
-        this.maxSessions = 50 // Limit to prevent storage bloat
+        this.maxSessions = 200 // Limit to prevent storage bloat - bodies live in the PayloadStore, sessions hold references
         this.chrome = typeof chrome !== "undefined" && chrome.storage ? chrome : null // Declare chrome variable
+        this.payloadStore = undefined // Created on first save/hydrate, null when IndexedDB is not reachable
+        this.savePromise = Promise.resolve()
         this.init()
       }
   
@@ -46,9 +48,7 @@
         this.currentSessionId = session.id
   
         // Limit sessions to prevent storage bloat
-        if (this.sessions.length > this.maxSessions) {
-          this.sessions = this.sessions.slice(0, this.maxSessions)
-        }
+        this.trimSessions()
   
         this.saveSessions()
         //console.log("✅ Created session:", session.id, "with checkout ID:", session.checkoutId)
@@ -117,13 +117,17 @@
         }
   
         // Limit sessions
-        if (this.sessions.length > this.maxSessions) {
-          this.sessions = this.sessions.slice(0, this.maxSessions)
-        }
+        this.trimSessions()
   
         this.saveSessions()
       }
   
+      trimSessions() {
+        if (this.sessions.length <= this.maxSessions) return
+        console.warn(`Dropping ${this.sessions.length - this.maxSessions} oldest session(s) over the ${this.maxSessions} limit`)
+        this.sessions = this.sessions.slice(0, this.maxSessions)
+      }
+  
       // Delete a session
       deleteSession(sessionId) {
         const index = this.sessions.findIndex((s) => s.id === sessionId)
@@ -229,27 +233,74 @@
         }
       }
   
-      // Save sessions to storage
+      // Save sessions to storage - writes are chained so a slow save never lands after a newer one
       saveSessions() {
+        this.savePromise = this.savePromise.then(() => this.writeSessions())
+        return this.savePromise
+      }
+  
+      async writeSessions() {
         try {
           if (this.chrome) {
-            this.chrome.storage.local.set({ [this.storageKey]: this.sessions })
+            const sessions = await Promise.all(
+              this.sessions.map((session) => this.dehydrateSession(this.redactSession(session))),
+            )
+            await this.chrome.storage.local.set({ [this.storageKey]: sessions })
           } else {
             // Fallback to localStorage
-            localStorage.setItem(this.storageKey, JSON.stringify(this.sessions))
+            const sessions = this.sessions.map((session) => this.redactSession(session))
+            localStorage.setItem(this.storageKey, JSON.stringify(sessions))
           }
         } catch (error) {
           console.error("Error saving sessions:", error)
         }
       }
   
+      // Stored sessions never keep auth headers or tokens; the open session keeps them in memory for replay
+      redactSession(session) {
+        return window.CredentialRedactor ? window.CredentialRedactor.redactSession(session) : session
+      }
+
+      getPayloadStore() {
+        if (this.payloadStore === undefined) {
+          this.payloadStore = this.chrome && window.PayloadStore ? window.PayloadStore.create() : null
+        }
+        return this.payloadStore
+      }
+  
+      // Stored copy with log bodies and large payloads moved to the PayloadStore; kept inline if that fails
+      async dehydrateSession(session) {
+        const payloadStore = this.getPayloadStore()
+        if (!payloadStore) return session
+  
+        try {
+          return await payloadStore.dehydrateSession(session)
+        } catch (error) {
+          console.warn("Payload store unavailable, saving session inline:", error)
+          return session
+        }
+      }
+  
+      // Restore referenced bodies in place; evicted ones are flagged by the store
+      async hydrateSession(session) {
+        const payloadStore = this.getPayloadStore()
+        if (!session || !payloadStore) return session
+  
+        try {
+          await payloadStore.hydrateSession(session)
+        } catch (error) {
+          console.warn("Could not load session payloads:", error)
+        }
+        return session
+      }
+  
       // Export session data
       exportSession(sessionId) {
         const session = this.loadSession(sessionId)
         if (!session) return null
   
         return {
-          session,
+          session: this.redactSession(session),
           exportTime: new Date().toISOString(),
           version: "1.0",
         }
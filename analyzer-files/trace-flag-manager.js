@@ -0,0 +1,138 @@
+// TraceFlag manager - keeps a checkout-tuned DebugLevel and USER_DEBUG trace flags in the connected org
+;(() => {
+
+  const SETTINGS_STORAGE_KEY = "traceFlagSettings"
+  const TOOLING_PATH = "/services/data/v58.0/tooling"
+
+  // Created once per org and reset to these levels whenever a trace flag is enabled
+  const DEBUG_LEVEL_NAME = "SFCC_Checkout_Debugger"
+  const DEBUG_LEVEL = {
+    ApexCode: "FINEST",
+    ApexProfiling: "INFO",
+    Callout: "INFO",
+    Database: "INFO",
+    System: "DEBUG",
+    Validation: "INFO",
+    Visualforce: "INFO",
+    Workflow: "INFO",
+  }
+
+  const DEFAULT_DURATION_MINUTES = 60
+  // Salesforce rejects trace flags that run longer than 24 hours from their start date
+  const MAX_DURATION_MINUTES = 24 * 60
+
+  class TraceFlagManager {
+    constructor(salesforceAPI) {
+      this.api = salesforceAPI
+      this.debugLevelId = null
+    }
+
+    async toolingQuery(soql) {
+      const result = await this.api.makeRequest(`${TOOLING_PATH}/query?q=${encodeURIComponent(soql)}`)
+      return result.records || []
+    }
+
+    async query(soql) {
+      const result = await this.api.makeRequest(`/services/data/v58.0/query?q=${encodeURIComponent(soql)}`)
+      return result.records || []
+    }
+
+    // Create the managed DebugLevel, or put its levels back if someone edited it in Setup
+    async ensureDebugLevel() {
+      const [existing] = await this.toolingQuery(
+        `SELECT Id, ${Object.keys(DEBUG_LEVEL).join(", ")} FROM DebugLevel WHERE DeveloperName = '${DEBUG_LEVEL_NAME}'`,
+      )
+
+      if (existing) {
+        const drifted = Object.entries(DEBUG_LEVEL).some(([category, level]) => existing[category] !== level)
+        if (drifted) {
+          await this.api.makeRequest(`${TOOLING_PATH}/sobjects/DebugLevel/${existing.Id}`, {
+            method: "PATCH",
+            body: DEBUG_LEVEL,
+          })
+        }
+        this.debugLevelId = existing.Id
+        return existing.Id
+      }
+
+      const created = await this.api.makeRequest(`${TOOLING_PATH}/sobjects/DebugLevel`, {
+        method: "POST",
+        body: { DeveloperName: DEBUG_LEVEL_NAME, MasterLabel: DEBUG_LEVEL_NAME, Language: "en_US", ...DEBUG_LEVEL },
+      })
+      this.debugLevelId = created.id
+      return created.id
+    }
+
+    // Site guest users - the ones storefront checkout runs as before login
+    async getGuestUsers() {
+      return this.query(
+        "SELECT Id, Name, Username FROM User WHERE UserType = 'Guest' AND IsActive = true ORDER BY Name LIMIT 50",
+      )
+    }
+
+    async searchUsers(term) {
+      const pattern = term.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/[%_]/g, "\\$&")
+      return this.query(
+        `SELECT Id, Name, Username FROM User WHERE IsActive = true AND (Name LIKE '%${pattern}%' OR Username LIKE '%${pattern}%') ORDER BY Name LIMIT 20`,
+      )
+    }
+
+    async getTraceFlag(userId) {
+      const [traceFlag] = await this.toolingQuery(
+        `SELECT Id, StartDate, ExpirationDate, DebugLevelId, DebugLevel.DeveloperName FROM TraceFlag WHERE TracedEntityId = '${userId}' AND LogType = 'USER_DEBUG' ORDER BY ExpirationDate DESC LIMIT 1`,
+      )
+      return traceFlag || null
+    }
+
+    // Create or extend the user's trace flag from now; an org allows only one per user and log type
+    async enableTraceFlag(userId, durationMinutes = DEFAULT_DURATION_MINUTES) {
+      const debugLevelId = await this.ensureDebugLevel()
+      const existing = await this.getTraceFlag(userId)
+
+      const startDate = new Date()
+      const minutes = Math.min(Math.max(1, durationMinutes), MAX_DURATION_MINUTES)
+      const expirationDate = new Date(startDate.getTime() + minutes * 60 * 1000)
+      const fields = {
+        DebugLevelId: debugLevelId,
+        StartDate: startDate.toISOString(),
+        ExpirationDate: expirationDate.toISOString(),
+      }
+
+      let traceFlagId
+      if (existing) {
+        await this.api.makeRequest(`${TOOLING_PATH}/sobjects/TraceFlag/${existing.Id}`, { method: "PATCH", body: fields })
+        traceFlagId = existing.Id
+      } else {
+        const created = await this.api.makeRequest(`${TOOLING_PATH}/sobjects/TraceFlag`, {
+          method: "POST",
+          body: { TracedEntityId: userId, LogType: "USER_DEBUG", ...fields },
+        })
+        traceFlagId = created.id
+      }
+
+      return { traceFlagId, userId, expirationDate: expirationDate.toISOString() }
+    }
+
+    async disableTraceFlag(traceFlagId) {
+      await this.api.makeRequest(`${TOOLING_PATH}/sobjects/TraceFlag/${traceFlagId}`, { method: "DELETE" })
+    }
+
+    static getRemainingMs(expirationDate) {
+      return expirationDate ? new Date(expirationDate).getTime() - Date.now() : 0
+    }
+  }
+
+  TraceFlagManager.SETTINGS_STORAGE_KEY = SETTINGS_STORAGE_KEY
+  TraceFlagManager.DEBUG_LEVEL_NAME = DEBUG_LEVEL_NAME
+  TraceFlagManager.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES
+
+  // Export for use in the popup and background worker
+  window.TraceFlagManager = TraceFlagManager
+
+  // Dispatch a custom event to signal the class is ready
+  window.dispatchEvent(
+    new CustomEvent("TraceFlagManagerReady", {
+      detail: { TraceFlagManager },
+    }),
+  )
+})()
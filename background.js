@@ -1,5 +1,36 @@
 // Background service worker
 
+// The analyzer modules are written for pages; the worker's global scope stands in for window
+self.window = self
+importScripts(
+  "analyzer-files/apex-log-parser.js",
+  "analyzer-files/salesforce-api.js",
+  "analyzer-files/credential-vault.js",
+  "analyzer-files/salesforce-oauth.js",
+  "analyzer-files/trace-flag-manager.js",
+  "analyzer-files/payload-store.js",
+)
+
+// Unlocked by the popup; the key is shared through chrome.storage.session while the browser is open
+const credentialVault = new CredentialVault()
+
+// Log bodies and large payloads for every origin; content scripts reach it through "payloadStore" messages
+const payloadStore = PayloadStore.create()
+
+const TRACE_FLAG_ALARM = "traceFlagRenewal"
+const TRACE_FLAG_RENEW_BEFORE = 15 * 60 * 1000
+// A debug session counts as active until it is ended or has been idle this long
+const SESSION_IDLE_TIMEOUT = 60 * 60 * 1000
+const SESSIONS_STORAGE_KEY = "sfcc_debug_sessions" // SessionManager.storageKey
+
+const LOG_FEED_CURSOR_KEY = "logFeedCursor"
+const LOG_FEED_LOGS_KEY = "logFeedLogs" // Kept apart from salesforceLogs, which the popup's Sync SF replaces
+const LOG_FEED_MIN_INTERVAL = 10 * 1000 // Tabs poll independently; the org is queried at most this often
+const LOG_FEED_CLOCK_MARGIN = 60 * 1000 // Logs can start slightly before the session's first browser timestamp
+const LOG_FEED_BATCH_SIZE = 50
+const LOG_FEED_LOOKBACK = 5 * 60 * 1000 // Longest expected transaction: its log is committed up to this late
+const CACHED_LOG_LIMIT = 50 // Newest feed logs kept in storage, bodies in the payload store
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log("SFCC Checkout Debugger installed")
 })
@@ -22,6 +53,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       success: false,
       error: "Please use the popup to sync Salesforce data",
     })
+  } else if (message.action === "pollSalesforceLogs") {
+    pollSalesforceLogs(message.since, message.afterSequence || 0)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ success: false, error: error.message }))
+    return true
+  } else if (message.action === "authorizeSalesforce") {
+    authorizeSalesforceAccount(message.account)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ success: false, error: error.message }))
+    return true
+  } else if (message.action === "payloadStore") {
+    if (!PayloadStore.REMOTE_METHODS.includes(message.method)) {
+      sendResponse({ success: false, error: `Unknown payload store method: ${message.method}` })
+      return
+    }
+    payloadStore[message.method](...(message.args || []))
+      .then((result) => sendResponse({ success: true, result }))
+      .catch((error) => sendResponse({ success: false, error: error.message }))
+    return true
   } else if (message.type === "networkCall" || message.type === "error" || message.type === "debugLog") {
     // Forward messages to devtools panel
     chrome.runtime.sendMessage(message)
@@ -40,3 +90,218 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     }
   }
 })
+
+// Stored account with its credentials decrypted, or flagged `locked` while the vault is locked
+async function getAccount(accountId) {
+  const { salesforceAccounts = [] } = await chrome.storage.local.get(["salesforceAccounts"])
+  const account = salesforceAccounts.find((acc) => acc.id === accountId)
+  if (!account) return null
+
+  const [opened] = await credentialVault.openAccounts([account])
+  return opened
+}
+
+// OAuth login - launchWebAuthFlow runs here because the popup closes when the login window takes focus
+async function authorizeSalesforceAccount(account) {
+  if (!(await credentialVault.getStatus()).unlocked) {
+    throw new Error("Unlock stored credentials before logging in")
+  }
+
+  const tokens = await new SalesforceOAuth().authorize({
+    loginHost: SalesforceOAuth.getLoginHost(account),
+    clientId: account.clientId,
+  })
+
+  const { salesforceAccounts = [] } = await chrome.storage.local.get(["salesforceAccounts"])
+  const existing = salesforceAccounts.find((acc) => acc.id === account.id)
+  const authorized = {
+    ...existing,
+    ...account,
+    authType: "oauth",
+    instanceUrl: tokens.instance_url,
+    sessionId: tokens.access_token,
+    refreshToken: tokens.refresh_token || null,
+    updatedAt: Date.now(),
+  }
+
+  const accounts = existing
+    ? salesforceAccounts.map((acc) => (acc.id === account.id ? authorized : acc))
+    : [...salesforceAccounts, authorized]
+  await chrome.storage.local.set({
+    salesforceAccounts: await credentialVault.sealAccounts(accounts),
+    activeAccountId: authorized.id,
+  })
+  return { success: true, accountId: authorized.id }
+}
+
+// Trace flag auto-renewal - checked every few minutes while the popup has auto-renew turned on
+async function syncTraceFlagAlarm() {
+  const storageKey = TraceFlagManager.SETTINGS_STORAGE_KEY
+  const { [storageKey]: settings } = await chrome.storage.local.get([storageKey])
+
+  if (!settings?.autoRenew) {
+    await chrome.alarms.clear(TRACE_FLAG_ALARM)
+  } else if (!(await chrome.alarms.get(TRACE_FLAG_ALARM))) {
+    await chrome.alarms.create(TRACE_FLAG_ALARM, { delayInMinutes: 1, periodInMinutes: 5 })
+  }
+}
+
+function hasActiveSession(sessions) {
+  return sessions.some((session) => {
+    if (session.endTime) return false
+    const lastCall = session.networkCalls?.[session.networkCalls.length - 1]
+    const lastActivity = Math.max(session.startTime || 0, lastCall?.timestamp || 0)
+    return Date.now() - lastActivity < SESSION_IDLE_TIMEOUT
+  })
+}
+
+async function renewTraceFlag() {
+  const storageKey = TraceFlagManager.SETTINGS_STORAGE_KEY
+  const result = await chrome.storage.local.get([storageKey, SESSIONS_STORAGE_KEY])
+  const settings = result[storageKey]
+
+  if (!settings?.autoRenew) return
+  if (TraceFlagManager.getRemainingMs(settings.expirationDate) > TRACE_FLAG_RENEW_BEFORE) return
+  if (!hasActiveSession(result[SESSIONS_STORAGE_KEY] || [])) return
+
+  const account = await getAccount(settings.accountId)
+  if (!account) return
+  if (account.locked) {
+    await chrome.storage.local.set({ [storageKey]: { ...settings, lastError: "Credentials are locked" } })
+    return
+  }
+
+  try {
+    const api = new SalesforceAPI()
+    const connection = await api.connect(
+      account.instanceUrl,
+      account.sessionId,
+      SalesforceOAuth.getConnectOptions(account),
+    )
+    if (!connection.success) throw new Error(connection.error)
+
+    const traceFlag = await new TraceFlagManager(api).enableTraceFlag(settings.userId, settings.durationMinutes)
+    await chrome.storage.local.set({ [storageKey]: { ...settings, ...traceFlag, lastError: null } })
+    console.log(`Renewed trace flag for ${settings.userName} until ${traceFlag.expirationDate}`)
+  } catch (error) {
+    console.error("Trace flag renewal failed:", error)
+    await chrome.storage.local.set({ [storageKey]: { ...settings, lastError: error.message } })
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRACE_FLAG_ALARM) renewTraceFlag()
+})
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[TraceFlagManager.SETTINGS_STORAGE_KEY]) syncTraceFlagAlarm()
+})
+
+syncTraceFlagAlarm()
+
+// Incremental log feed - open debug sessions poll for ApexLogs newer than the stored cursor.
+// Each log body is downloaded once into the payload store and its record cached under logFeedLogs
+// with a feed sequence number, so every tab receives the logs it has not seen yet.
+let logFeedApi = null // { accountId, api } reused between polls
+let logFeedPoll = null // In-flight poll shared by tabs asking at the same time
+let lastLogFeedPoll = 0
+
+async function getLogFeedApi(account) {
+  // An OAuth refresh updates the API's token and the stored account together, so they still match afterwards
+  const { api: cachedApi } = logFeedApi || {}
+  if (logFeedApi?.accountId === account.id && cachedApi.sessionId === account.sessionId && cachedApi.isConnected) {
+    return cachedApi
+  }
+
+  const api = new SalesforceAPI()
+  const connection = await api.connect(
+    account.instanceUrl,
+    account.sessionId,
+    SalesforceOAuth.getConnectOptions(account),
+  )
+  if (!connection.success) throw new Error(connection.error)
+
+  logFeedApi = { accountId: account.id, api }
+  return api
+}
+
+async function pollSalesforceLogs(since, afterSequence) {
+  if (!logFeedPoll && Date.now() - lastLogFeedPoll >= LOG_FEED_MIN_INTERVAL) {
+    lastLogFeedPoll = Date.now()
+    logFeedPoll = fetchNewSalesforceLogs(since).finally(() => {
+      logFeedPoll = null
+    })
+  }
+  if (logFeedPoll) await logFeedPoll
+
+  const { [LOG_FEED_LOGS_KEY]: feedLogs = [] } = await chrome.storage.local.get([LOG_FEED_LOGS_KEY])
+  const sessionStart = (since || 0) - LOG_FEED_CLOCK_MARGIN
+  const logs = feedLogs
+    .filter((log) => log.feedSequence > afterSequence && new Date(log.StartTime).getTime() >= sessionStart)
+    .map((log) => ({ ...log }))
+  await payloadStore.hydrateLogs(logs)
+
+  return {
+    success: true,
+    logs,
+    sequence: Math.max(afterSequence, ...feedLogs.map((log) => log.feedSequence || 0)),
+  }
+}
+
+async function fetchNewSalesforceLogs(since) {
+  const result = await chrome.storage.local.get([
+    "activeAccountId",
+    "salesforceLogs",
+    LOG_FEED_LOGS_KEY,
+    LOG_FEED_CURSOR_KEY,
+  ])
+  const account = await getAccount(result.activeAccountId)
+  if (!account || account.locked) return
+
+  // Start at the session rather than replaying the org's whole log history
+  const sessionStart = new Date((since || Date.now()) - LOG_FEED_CLOCK_MARGIN).toISOString()
+  let cursor = result[LOG_FEED_CURSOR_KEY]
+  if (!cursor || cursor.accountId !== account.id || new Date(cursor.startTime) < new Date(sessionStart)) {
+    cursor = {
+      accountId: account.id,
+      startTime: sessionStart,
+      notBefore: sessionStart,
+      seen: {},
+      sequence: cursor?.sequence || 0,
+    }
+  }
+
+  try {
+    const api = await getLogFeedApi(account)
+    const { records } = await api.getLogsSince(cursor, LOG_FEED_BATCH_SIZE, LOG_FEED_LOOKBACK)
+    const cachedLogs = result[LOG_FEED_LOGS_KEY] || []
+
+    // Bodies already downloaded by the feed or by Sync SF are reused
+    let sequence = cursor.sequence
+    const fetched = await api.attachLogBodies(records, [...cachedLogs, ...(result.salesforceLogs || [])], (log) =>
+      payloadStore.get(log.bodyRef),
+    )
+
+    // Logs whose body failed to download are not delivered or marked seen, so the next poll retries them
+    // while they are inside the look-back window
+    const delivered = fetched.filter((log) => typeof log.body === "string")
+    fetched
+      .filter((log) => !delivered.includes(log))
+      .forEach((log) => console.warn(`Log feed will retry ${log.Id}: ${log.error || "empty body"}`))
+    const next = api.advanceLogCursor(cursor, delivered, LOG_FEED_LOOKBACK)
+    const logs = await payloadStore.dehydrateLogs(delivered.map((log) => ({ ...log, feedSequence: ++sequence })))
+
+    const known = new Set(logs.map((log) => log.Id))
+    const feedLogs = [...logs, ...cachedLogs.filter((log) => !known.has(log.Id))]
+      .sort((a, b) => new Date(b.StartTime) - new Date(a.StartTime))
+      .slice(0, CACHED_LOG_LIMIT)
+
+    await chrome.storage.local.set({
+      [LOG_FEED_CURSOR_KEY]: { ...next, sequence },
+      ...(logs.length > 0 ? { [LOG_FEED_LOGS_KEY]: feedLogs } : {}),
+    })
+  } catch (error) {
+    logFeedApi = null
+    console.warn("Log feed poll failed:", error)
+  }
+}
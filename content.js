@@ -3,6 +3,14 @@ class SFCCMonitor {
   constructor() {
     this.isMonitoring = false
     this.networkCalls = []
+    this.pendingReplays = new Map() // replayId -> { original, edited }
+    this.replayEditor = null // { callIndex, text, error } while Edit & Resend is open
+    this.mockRules = [] // Mock/fault rules for this storefront (location.origin)
+    this.mockForm = null // { id, ...fields, error } while a mock rule is being added or edited
+    this.harImportStatus = null // { type, message } from the last HAR import
+    this.includeCredentialsInExports = false // Exports redact auth headers and tokens unless checked
+    this.logImportStatus = null // { type, message } from the last .log file import
+    this.logUtcOffset = "" // Time zone of imported .log files, e.g. "-05:00"; blank for browser time
     this.errors = []
     this.checkoutData = {}
     this.checkoutStatus = null
@@ -24,11 +32,16 @@ class SFCCMonitor {
     ]
     this.correlationEngine = null
     this.analyzer = null
+    this.flowValidator = null
+    this.cartReconciler = null
+    this.cartReconciliation = null
     this.salesforceLogger = null
     this.sessionManager = null
     this.currentSession = null
     this.componentsLoaded = {
       analyzer: false,
+      flowValidator: false,
+      cartReconciler: false,
       correlationEngine: false,
       salesforceLogger: false,
       sessionManager: false,
@@ -36,6 +49,8 @@ class SFCCMonitor {
     this.sessionsLoaded = false // Add flag to prevent infinite loading
     this.isLoadingSessions = false // Add flag to prevent concurrent loading
     this.autoSaveInterval = null // Add auto-save interval tracker
+    this.logFeedInterval = null // Polls the background log feed while monitoring
+    this.logFeedSequence = 0 // Last log feed sequence number received
     this.init()
   }
 
@@ -97,6 +112,27 @@ class SFCCMonitor {
       }
     }
 
+    // Reload user-defined correlation rules and call types when they are edited in the popup
+    if (this.isContextValid()) {
+      try {
+        window.chrome.storage.onChanged.addListener((changes, areaName) => {
+          if (areaName !== "local") return
+          if (changes[window.CorrelationEngine?.CUSTOM_RULES_STORAGE_KEY]) {
+            this.loadCustomCorrelationRules()
+          }
+          if (changes[window.CheckoutCallAnalyzer?.CUSTOM_TYPES_STORAGE_KEY]) {
+            this.loadCustomCallTypes()
+          }
+          // Rules edited in another tab on the same storefront
+          if (changes.mockRules) {
+            this.loadMockRules()
+          }
+        })
+      } catch (error) {
+        console.warn("Failed to add storage listener:", error)
+      }
+    }
+
     // Listen for network calls from injected script
     window.addEventListener("message", (event) => {
       if (event.source !== window) return
@@ -105,9 +141,13 @@ class SFCCMonitor {
         this.handleNetworkCall(event.data.callData)
       } else if (event.data.type === "SFCC_ERROR") {
         this.handleError(event.data.errorData)
+      } else if (event.data.type === "SFCC_MOCK_RULES_REQUEST") {
+        this.sendMockRulesToPage()
       }
     })
 
+    this.loadMockRules()
+
     // Monitor URL changes for single-page app navigation
     this.setupUrlMonitoring()
 
@@ -119,6 +159,8 @@ class SFCCMonitor {
     // Set up event listeners for component ready events
     const componentPromises = [
       this.waitForComponentEvent("CheckoutCallAnalyzerReady", "analyzer"),
+      this.waitForComponentEvent("CheckoutFlowValidatorReady", "flowValidator"),
+      this.waitForComponentEvent("CartReconcilerReady", "cartReconciler"),
       this.waitForComponentEvent("CorrelationEngineReady", "correlationEngine"),
       this.waitForComponentEvent("SalesforceLoggerReady", "salesforceLogger"),
       this.waitForComponentEvent("SessionManagerReady", "sessionManager"),
@@ -126,7 +168,14 @@ class SFCCMonitor {
 
     // Load all scripts
     this.loadScript("analyzer-files/checkout-call-analyzer.js")
+    this.loadScript("analyzer-files/checkout-flow-validator.js")
+    this.loadScript("analyzer-files/cart-reconciler.js")
     this.loadScript("analyzer-files/correlation-engine.js")
+    this.loadScript("analyzer-files/apex-log-parser.js")
+    this.loadScript("analyzer-files/json-diff.js")
+    this.loadScript("analyzer-files/aura-action-decoder.js")
+    this.loadScript("analyzer-files/credential-redactor.js")
+    this.loadScript("analyzer-files/har-converter.js")
     this.loadScript("analyzer-files/salesforce-logger.js")
     this.loadScript("analyzer-files/session-manager.js")
 
@@ -142,7 +191,7 @@ class SFCCMonitor {
 
     // Process results
     results.forEach((result, index) => {
-      const componentNames = ["analyzer", "correlationEngine", "salesforceLogger", "sessionManager"]
+      const componentNames = ["analyzer", "flowValidator", "cartReconciler", "correlationEngine", "salesforceLogger", "sessionManager"]
       const componentName = componentNames[index]
 
       if (result.status === "fulfilled") {
@@ -266,9 +315,20 @@ class SFCCMonitor {
           switch (componentName) {
             case "analyzer":
               this.analyzer = new window.CheckoutCallAnalyzer()
+              this.loadCustomCallTypes()
+              break
+            case "flowValidator":
+              this.flowValidator = new window.CheckoutFlowValidator()
+              break
+            case "cartReconciler":
+              this.cartReconciler = new window.CartReconciler()
               break
             case "correlationEngine":
               this.correlationEngine = new window.CorrelationEngine()
+              // Catch up on anything captured before the engine was ready
+              this.resetCorrelations()
+              this.refreshClockSkew()
+              this.loadCustomCorrelationRules()
               break
             case "salesforceLogger":
               this.salesforceLogger = new window.SalesforceLogger()
@@ -329,7 +389,8 @@ class SFCCMonitor {
         this.stopMonitoring()
         sendResponse({ success: true })
       } else if (message.action === "updateSalesforceLogs") {
-        this.salesforceLogs = message.logs || []
+        this.salesforceLogs = this.withImportedLogs(message.logs || [])
+        this.correlateSalesforceLogs()
 
         // Add logs to current session if it exists
         if (this.currentSession) {
@@ -684,10 +745,20 @@ vertical-align: baseline !important;
           <div>Errors: <span id="sfcc-error-count">0</span></div>
           <div>Duration: <span id="sfcc-session-duration">0s</span></div>
           <div>SF Logs: <span id="sfcc-correlation-count">0</span></div>
+          <div title="Server clock minus browser clock, applied before time-based correlation">Clock: <span id="sfcc-clock-skew">-</span></div>
         </div>
         <div class="sfcc-requirements-grid" id="sfcc-requirements-grid" style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
           <!-- Requirements will be populated by JavaScript -->
         </div>
+        <div id="sfcc-requirement-details" style="display: none; margin-top: 8px;">
+          <!-- Details for the selected requirement -->
+        </div>
+        <div id="sfcc-flow-warnings" style="display: none; margin-top: 8px;">
+          <!-- Out-of-order checkout steps -->
+        </div>
+        <div id="sfcc-cart-warnings" style="display: none; margin-top: 8px;">
+          <!-- Cart total inconsistencies -->
+        </div>
       </div>
       
       <div class="sfcc-tabs" style="display: flex; background: white; border-bottom: 1px solid #e2e8f0;">
@@ -695,6 +766,8 @@ vertical-align: baseline !important;
         <button class="sfcc-tab" data-tab="sessions" style="flex: 1; padding: 12px 8px; border: none; background: none; cursor: pointer; font-size: 12px; color: #6b7280; border-bottom: 2px solid transparent; transition: all 0.2s;">Sessions</button>
         <button class="sfcc-tab" data-tab="correlations" style="flex: 1; padding: 12px 8px; border: none; background: none; cursor: pointer; font-size: 12px; color: #6b7280; border-bottom: 2px solid transparent; transition: all 0.2s;">Correlations</button>
         <button class="sfcc-tab" data-tab="logs" style="flex: 1; padding: 12px 8px; border: none; background: none; cursor: pointer; font-size: 12px; color: #6b7280; border-bottom: 2px solid transparent; transition: all 0.2s;">SF Logs</button>
+        <button class="sfcc-tab" data-tab="timeline" style="flex: 1; padding: 12px 8px; border: none; background: none; cursor: pointer; font-size: 12px; color: #6b7280; border-bottom: 2px solid transparent; transition: all 0.2s;">Timeline</button>
+        <button class="sfcc-tab" data-tab="mocks" style="flex: 1; padding: 12px 8px; border: none; background: none; cursor: pointer; font-size: 12px; color: #6b7280; border-bottom: 2px solid transparent; transition: all 0.2s;">Mocks</button>
       </div>
       
       <div class="sfcc-tab-content" id="sfcc-tab-content" style="flex: 1; overflow: auto; padding: 12px;">
@@ -931,6 +1004,7 @@ vertical-align: baseline !important;
     try {
       this.updateActiveAccountDisplay()
       this.updateCurrentSessionDisplay()
+      this.updateMockTabLabel()
       this.renderRequirements()
       this.renderTabContent()
       this.updateStatus()
@@ -1047,129 +1121,427 @@ vertical-align: baseline !important;
       })
 
       grid.appendChild(allElement)
+
+      this.renderRequirementDetails()
+      this.renderFlowWarnings()
+      this.renderCartWarnings()
     } catch (error) {
       console.error("Error rendering requirements:", error)
     }
   }
 
-  getRequirementStatus(key, required) {
-    const hasData = this.checkoutData[key]
-    if (hasData) return "complete"
-    if (!required) return "optional"
-    return "incomplete"
-  }
-
-  getCallCountForRequirement(requirementKey) {
-    return this.networkCalls.filter((call) => {
-      const stage = this.mapUrlToRequirement(call.url, call.requestBody)
-      return stage === requirementKey
-    }).length
-  }
+  // What the selected requirement was set to, and by which call
+  renderRequirementDetails() {
+    const container = document.getElementById("sfcc-requirement-details")
+    if (!container) return
 
-  // Enhanced URL to requirement mapping that considers request body
-  mapUrlToRequirement(url, requestBody = null) {
-    if (!url) return null
+    const requirement = this.requirements.find((req) => req.key === this.activeFilter)
+    if (!requirement) {
+      container.style.display = "none"
+      return
+    }
 
-    const urlLower = url.toLowerCase()
+    const record = this.checkoutData.requirements?.[requirement.key]
+    container.style.display = "block"
 
-    // Reduce logging to prevent infinite loops - only log when debugging is needed
-    if (this.activeTab === "sessions" && this.isLoadingSessions) {
-      // Skip logging during session loading to prevent loops
-      return null
+    if (!record) {
+      container.innerHTML = `
+        <div style="font-size: 10px; color: #6b7280; padding: 6px 8px; background: white; border: 1px solid #e2e8f0; border-radius: 4px;">
+          ${requirement.label}: no call has set this yet
+        </div>
+      `
+      return
     }
 
-    // Handle /active calls by analyzing the request body
-    if (urlLower.includes("/active")) {
-      if (requestBody) {
-        // Parse the request body if it's a string
-        let parsedBody = requestBody
-        if (typeof requestBody === "string") {
-          try {
-            parsedBody = JSON.parse(requestBody)
-          } catch (e) {
-            // Silent fail for parsing errors
+    const values = Object.entries(record.values || {})
+    container.innerHTML = `
+      <div style="font-size: 10px; padding: 6px 8px; background: white; border: 1px solid #e2e8f0; border-radius: 4px;">
+        <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+          <strong style="color: #374151;">${requirement.label}</strong>
+          <span style="color: ${record.complete ? "#22c55e" : "#ef4444"}; font-weight: 600;">${record.complete ? "Complete" : "Failed"}</span>
+        </div>
+        <div style="font-family: monospace; font-size: 9px; color: #374151; margin-bottom: 4px;">
+          ${
+            values.length > 0
+              ? values
+                  .map(
+                    ([name, value]) =>
+                      `<div><strong>${this.escapeHtml(name)}:</strong> ${this.escapeHtml(typeof value === "object" ? JSON.stringify(value) : value)}</div>`,
+                  )
+                  .join("")
+              : "<div>No values extracted</div>"
           }
-        }
+        </div>
+        <div style="color: #6b7280; font-size: 9px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${this.escapeHtml(record.call.url)}">
+          Set by ${record.callType}: ${record.call.method} ${this.escapeHtml(this.truncateUrl(record.call.url))} (${record.call.status}) at ${new Date(record.call.timestamp).toLocaleTimeString()}
+        </div>
+      </div>
+    `
+  }
 
-        // Check for delivery method updates
-        if (parsedBody && parsedBody.deliveryMethodId) {
-          return "deliveryMethod"
-        }
+  // Replay captured calls through the flow validator and list out-of-order steps
+  renderFlowWarnings() {
+    const container = document.getElementById("sfcc-flow-warnings")
+    if (!container) return
 
-        // Check for address updates
-        if (parsedBody && parsedBody.deliveryAddress) {
-          return "shippingAddress"
-        }
+    if (!this.flowValidator || !this.analyzer || typeof this.analyzer.getRequirementKeys !== "function") {
+      container.style.display = "none"
+      return
+    }
 
-        // Check for billing address
-        if (parsedBody && parsedBody.billingAddress) {
-          return "billingAddress"
-        }
+    let findings = []
+    try {
+      const analyzedCalls = this.networkCalls.map((call) => this.getCallAnalysis(call))
+      findings = this.flowValidator.validate(analyzedCalls, this.analyzer)
+    } catch (error) {
+      console.warn("Error validating checkout flow:", error)
+    }
 
-        // Check for payment updates
-        if (parsedBody && (parsedBody.paymentMethodId || parsedBody.paymentDetails)) {
-          return "payment"
-        }
+    if (findings.length === 0) {
+      container.style.display = "none"
+      return
+    }
 
-        // Check for other address-related fields
-        if (
-          parsedBody &&
-          (parsedBody.desiredDeliveryDate || parsedBody.shippingInstructions || parsedBody.contactInfo)
-        ) {
-          return "shippingAddress"
-        }
-      }
+    const sequence = this.flowValidator.getStageSequence()
+    container.style.display = "block"
+    container.innerHTML = `
+      <div style="font-size: 10px; padding: 6px 8px; background: #fffbeb; border: 1px solid #fcd34d; border-radius: 4px;">
+        <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+          <strong style="color: #92400e;">⚠️ Checkout flow warnings (${findings.length})</strong>
+        </div>
+        ${this.renderFindingItems(findings)}
+        <div style="color: #6b7280; font-size: 9px;">Flow: ${sequence.map((stage) => this.escapeHtml(stage)).join(" → ")}</div>
+      </div>
+    `
+  }
 
-      return null
-    }
+  // Reconcile cart totals across every captured response; per-call diffs show in the Network tab
+  renderCartWarnings() {
+    const container = document.getElementById("sfcc-cart-warnings")
+    if (!container) return
 
-    // Existing URL-based logic for other endpoints
-    if (
-      urlLower.includes("/addresses") &&
-      (urlLower.includes("addresstype=shipping") || urlLower.includes("shipping"))
-    ) {
-      return "shippingAddress"
+    this.cartReconciliation = null
+    if (!this.cartReconciler) {
+      container.style.display = "none"
+      return
     }
 
-    if (urlLower.includes("/addresses") && (urlLower.includes("addresstype=billing") || urlLower.includes("billing"))) {
-      return "billingAddress"
+    try {
+      const analyzedCalls = this.networkCalls.map((call) => this.getCallAnalysis(call) || call)
+      this.cartReconciliation = this.cartReconciler.reconcile(analyzedCalls, this.analyzer)
+    } catch (error) {
+      console.warn("Error reconciling cart totals:", error)
     }
 
-    if (urlLower.includes("/shipping-address") || urlLower.includes("/delivery-address")) {
-      return "shippingAddress"
+    const findings = this.cartReconciliation?.findings || []
+    if (findings.length === 0) {
+      container.style.display = "none"
+      return
     }
 
-    if (
-      urlLower.includes("/delivery-methods") ||
-      urlLower.includes("/shipping-methods") ||
-      urlLower.includes("/delivery-groups/") ||
-      urlLower.includes("/carts/current/delivery-groups")
-    ) {
-      return "deliveryMethod"
-    }
+    container.style.display = "block"
+    container.innerHTML = `
+      <div style="font-size: 10px; padding: 6px 8px; background: #fef2f2; border: 1px solid #fca5a5; border-radius: 4px;">
+        <div style="margin-bottom: 4px;">
+          <strong style="color: #991b1b;">🧾 Cart total warnings (${findings.length})</strong>
+        </div>
+        ${this.renderFindingItems(findings)}
+      </div>
+    `
+  }
 
-    if (
-      urlLower.includes("/inventory") ||
-      urlLower.includes("/cart-items") ||
-      urlLower.includes("/inventory-reservations") ||
-      urlLower.includes("/products/")
-    ) {
-      return "inventory"
-    }
+  renderFindingItems(findings) {
+    return findings
+      .map(
+        (finding) => `
+          <div style="margin-bottom: 4px; padding-left: 6px; border-left: 2px solid ${finding.severity === "error" ? "#ef4444" : "#f59e0b"};">
+            <div style="font-weight: 600; color: #374151;">${this.escapeHtml(finding.title)}</div>
+            <div style="color: #4b5563;">${this.escapeHtml(finding.message)}</div>
+            <div style="color: #6b7280; font-size: 9px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${this.escapeHtml(finding.call.url)}">
+              ${finding.call.method} ${this.escapeHtml(this.truncateUrl(finding.call.url))} (${finding.call.status}) at ${new Date(finding.timestamp).toLocaleTimeString()}
+            </div>
+          </div>
+        `,
+      )
+      .join("")
+  }
+
+  // Cart summary totals this call returned, and how they moved since the previous summary
+  renderCartDiff(call) {
+    const snapshot = this.cartReconciliation?.snapshots.find(
+      (entry) => entry.callIndex === this.networkCalls.indexOf(call),
+    )
+    if (!snapshot) return ""
+
+    const formatValue = (value) => (value === null || value === undefined ? "-" : this.escapeHtml(value))
+    const changes = snapshot.diff.reduce((byField, change) => ({ ...byField, [change.field]: change }), {})
+    const rows = ["subtotal", "shipping", "promotions", "tax", "grandTotal"].map((field) => {
+      const change = changes[field]
+      const label = window.CartReconciler.TOTAL_LABELS[field]
+      const delta = change?.delta !== null && change?.delta !== undefined ? ` (${change.delta > 0 ? "+" : ""}${change.delta})` : ""
+      return `
+              <div style="${change ? "color: #1d4ed8; font-weight: 600;" : "color: #374151;"}">
+                <strong>${label}:</strong> ${change ? `${formatValue(change.before)} → ` : ""}${formatValue(snapshot.totals[field])}${delta}
+              </div>
+            `
+    })
+
+    return `
+          <div style="margin-bottom: 12px;">
+            <div style="font-weight: 600; font-size: 10px; color: #374151; margin-bottom: 4px; text-transform: uppercase;">
+              Cart Summary ${snapshot.totals.currency ? `(${this.escapeHtml(snapshot.totals.currency)})` : ""}
+              ${changes.currency ? `<span style="color: #ef4444;">currency ${formatValue(changes.currency.before)} → ${formatValue(changes.currency.after)}</span>` : ""}
+            </div>
+            <div style="font-family: monospace; font-size: 9px; background: #eff6ff; padding: 6px; border-radius: 3px; border: 1px solid #bfdbfe;">
+              ${rows.join("")}
+              ${snapshot.diff.length === 0 ? `<div style="color: #6b7280;">No change from previous summary</div>` : ""}
+            </div>
+          </div>
+        `
+  }
 
-    if (urlLower.includes("/taxes") || urlLower.includes("/tax")) {
-      return "taxes"
+  // Decoded actions, binary/stream bodies and uploaded files cannot be rebuilt faithfully
+  canReplayCall(call) {
+    if (!call.url || !/^https?:/i.test(call.url) || call.actionType) return false
+    if (["binary", "stream"].includes(call.requestBodyType)) return false
+    if (call.requestBodyType === "form-data") {
+      return Object.values(call.requestBody || {}).every((value) =>
+        [].concat(value).every((entry) => typeof entry === "string"),
+      )
     }
+    return true
+  }
+
+  getReplayBodyText(call) {
+    if (call.requestBody === null || call.requestBody === undefined) return ""
+    return typeof call.requestBody === "string" ? call.requestBody : JSON.stringify(call.requestBody, null, 2)
+  }
+
+  renderReplayControls(call, callIndex) {
+    const replayOf = call.replayOf
+      ? `
+            <div style="font-size: 10px; color: #6d28d9; margin-bottom: 6px;">
+              ↻ Replay of ${call.replayOf.method} ${this.escapeHtml(this.truncateUrl(call.replayOf.url))} from ${new Date(call.replayOf.timestamp).toLocaleTimeString()}${call.replayOf.edited ? " with an edited body" : ""}
+            </div>
+          `
+      : ""
+
+    if (!this.canReplayCall(call)) return replayOf
+
+    const editor = this.replayEditor?.callIndex === callIndex ? this.replayEditor : null
+    return `
+          <div style="margin-bottom: 12px;">
+            ${replayOf}
+            <div style="display: flex; gap: 6px; align-items: center;">
+              <button class="sfcc-replay-btn" data-call-index="${callIndex}" style="padding: 3px 8px; font-size: 10px; border: 1px solid #c4b5fd; background: #f5f3ff; color: #6d28d9; border-radius: 4px; cursor: pointer;">↻ Replay</button>
+              <button class="sfcc-edit-resend-btn" data-call-index="${callIndex}" style="padding: 3px 8px; font-size: 10px; border: 1px solid #e2e8f0; background: white; color: #374151; border-radius: 4px; cursor: pointer;">✎ Edit & Resend</button>
+              ${call.replayCount ? `<span style="font-size: 10px; color: #6b7280;">Replayed ${call.replayCount}×</span>` : ""}
+            </div>
+            ${
+              editor
+                ? `
+              <div style="margin-top: 8px;">
+                <textarea class="sfcc-replay-editor" data-call-index="${callIndex}" data-focus-key="replay-editor" spellcheck="false" style="width: 100%; box-sizing: border-box; min-height: 120px; font-family: monospace; font-size: 9px; padding: 6px; border: 1px solid #c4b5fd; border-radius: 3px;">${this.escapeHtml(editor.text)}</textarea>
+                ${editor.error ? `<div style="color: #ef4444; font-size: 10px; margin-top: 4px;">${this.escapeHtml(editor.error)}</div>` : ""}
+                <div style="display: flex; gap: 6px; margin-top: 6px;">
+                  <button class="sfcc-replay-send-btn" data-call-index="${callIndex}" style="padding: 3px 8px; font-size: 10px; border: none; background: #6d28d9; color: white; border-radius: 4px; cursor: pointer;">Send ${call.method}</button>
+                  <button class="sfcc-replay-cancel-btn" style="padding: 3px 8px; font-size: 10px; border: 1px solid #e2e8f0; background: white; color: #374151; border-radius: 4px; cursor: pointer;">Cancel</button>
+                </div>
+              </div>
+            `
+                : ""
+            }
+          </div>
+        `
+  }
+
+  // Ask the page-world interceptor to re-issue the call; the response arrives as a new SFCC_NETWORK_CALL
+  replayCall(callIndex, editedBodyText) {
+    const call = this.networkCalls[callIndex]
+    if (!call || !this.canReplayCall(call)) return
+
+    let body = call.requestBody
+    if (editedBodyText !== undefined) {
+      if (editedBodyText.trim() === "") {
+        body = null
+      } else if (typeof call.requestBody === "string") {
+        body = editedBodyText
+      } else {
+        // Throws on invalid JSON; the editor shows the message
+        body = JSON.parse(editedBodyText)
+      }
+    }
+
+    const replayId = `replay-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    this.pendingReplays.set(replayId, { original: call, edited: editedBodyText !== undefined })
+
+    window.postMessage(
+      {
+        type: "SFCC_REPLAY_REQUEST",
+        request: {
+          replayId,
+          url: call.url,
+          method: call.method,
+          headers: window.CredentialRedactor.withoutRedacted(call.requestHeaders),
+          body,
+          bodyType: call.requestBodyType,
+          credentials: call.credentials,
+        },
+      },
+      "*",
+    )
+  }
+
+  setupReplayEventListeners(container) {
+    container.querySelectorAll(".sfcc-replay-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.replayCall(Number(button.dataset.callIndex))
+      })
+    })
+
+    container.querySelectorAll(".sfcc-edit-resend-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        const callIndex = Number(button.dataset.callIndex)
+        this.replayEditor = { callIndex, text: this.getReplayBodyText(this.networkCalls[callIndex]), error: null }
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-replay-editor").forEach((textarea) => {
+      textarea.addEventListener("input", () => {
+        if (this.replayEditor) this.replayEditor.text = textarea.value
+      })
+    })
+
+    container.querySelectorAll(".sfcc-replay-send-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        try {
+          this.replayCall(Number(button.dataset.callIndex), this.replayEditor.text)
+          this.replayEditor = null
+        } catch (error) {
+          this.replayEditor.error = `Invalid JSON: ${error.message}`
+        }
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-replay-cancel-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.replayEditor = null
+        this.renderTabContent()
+      })
+    })
+  }
+
+  renderHeaders(title, headers) {
+    const entries = Object.entries(headers || {})
+    if (entries.length === 0) return ""
+
+    return `
+            <div style="margin-bottom: 12px;">
+              <div style="font-weight: 600; font-size: 10px; color: #374151; margin-bottom: 4px; text-transform: uppercase;">${title} (${entries.length})</div>
+              <div style="font-family: monospace; font-size: 9px; background: #f8fafc; padding: 6px; border-radius: 3px; border: 1px solid #e2e8f0; max-height: 120px; overflow: auto; word-break: break-all;">
+                ${entries
+                  .sort(([a], [b]) => a.localeCompare(b))
+                  .map(([name, value]) => `<div><strong>${this.escapeHtml(name)}:</strong> ${this.escapeHtml(value)}</div>`)
+                  .join("")}
+              </div>
+            </div>
+          `
+  }
+
+  // Full checkout resource from GET/PATCH on the checkout /active endpoint
+  isCheckoutSnapshot(call) {
+    return (
+      !!call.url &&
+      /\/checkouts\/(?:[^/?]+\/)?active(?:[/?#]|$)/.test(call.url) &&
+      call.status < 400 &&
+      call.response !== null &&
+      typeof call.response === "object"
+    )
+  }
+
+  // Structural diff of this checkout response against the previous one in the session
+  renderResponseDiff(call) {
+    if (!window.JsonDiff || !this.isCheckoutSnapshot(call)) return ""
 
-    if (urlLower.includes("/billing-address")) {
-      return "billingAddress"
+    const index = this.networkCalls.indexOf(call)
+    const previous = this.networkCalls
+      .slice(0, index)
+      .reverse()
+      .find((candidate) => this.isCheckoutSnapshot(candidate))
+    if (!previous) return ""
+
+    if (!this.jsonDiff) this.jsonDiff = new window.JsonDiff()
+    const { changes, truncated } = this.jsonDiff.diff(previous.response, call.response)
+
+    const markers = {
+      added: { symbol: "+", color: "#166534", background: "#f0fdf4" },
+      removed: { symbol: "−", color: "#991b1b", background: "#fef2f2" },
+      changed: { symbol: "~", color: "#92400e", background: "#fffbeb" },
     }
 
-    if (urlLower.includes("/payments") || urlLower.includes("/payment")) {
-      return "payment"
+    const rows = changes.map((change) => {
+      const marker = markers[change.type]
+      const value =
+        change.type === "added"
+          ? this.jsonDiff.formatValue(change.after)
+          : change.type === "removed"
+            ? this.jsonDiff.formatValue(change.before)
+            : `${this.jsonDiff.formatValue(change.before)} → ${this.jsonDiff.formatValue(change.after)}`
+      return `
+                <div style="color: ${marker.color}; background: ${marker.background}; padding: 1px 4px; word-break: break-all;">
+                  ${marker.symbol} <strong>${this.escapeHtml(change.path)}</strong>: ${this.escapeHtml(value)}
+                </div>
+              `
+    })
+
+    return `
+          <div style="margin-bottom: 12px;">
+            <div style="font-weight: 600; font-size: 10px; color: #374151; margin-bottom: 4px; text-transform: uppercase;">
+              Changes Since Previous Checkout Response (${changes.length}${truncated ? "+" : ""})
+            </div>
+            <div style="font-size: 9px; color: #6b7280; margin-bottom: 4px;">
+              vs ${previous.method} at ${new Date(previous.timestamp).toLocaleTimeString()}
+            </div>
+            <div style="font-family: monospace; font-size: 9px; border: 1px solid #e2e8f0; border-radius: 3px; max-height: 160px; overflow: auto;">
+              ${rows.length > 0 ? rows.join("") : `<div style="color: #6b7280; padding: 4px;">No changes</div>`}
+            </div>
+          </div>
+        `
+  }
+
+  getRequirementStatus(key, required) {
+    // Sessions saved before requirement records existed only carry the boolean flag
+    const record = this.checkoutData.requirements?.[key]
+    const hasData = record ? record.complete : this.checkoutData[key]
+    if (hasData) return "complete"
+    if (!required) return "optional"
+    return "incomplete"
+  }
+
+  getCallCountForRequirement(requirementKey) {
+    return this.networkCalls.filter((call) => this.getRequirementKeysForCall(call).includes(requirementKey)).length
+  }
+
+  // Calls captured before the analyzer loaded are analyzed on first use
+  getCallAnalysis(call) {
+    if (call.analysis) return call.analysis
+    if (!this.analyzer || typeof this.analyzer.analyzeCall !== "function") return null
+
+    try {
+      call.analysis = this.analyzer.analyzeCall(call)
+    } catch (error) {
+      console.warn("Error analyzing call:", error)
+      return null
     }
+    return call.analysis
+  }
 
-    return null
+  getRequirementKeysForCall(call) {
+    const analysis = this.getCallAnalysis(call)
+    if (!analysis || typeof this.analyzer?.getRequirementKeys !== "function") return []
+    return this.analyzer.getRequirementKeys(analysis)
   }
 
   toggleFilter(filterKey) {
@@ -1196,6 +1568,12 @@ vertical-align: baseline !important;
     const container = document.getElementById("sfcc-tab-content")
     if (!container) return
 
+    // New calls re-render the tab; keep the cursor if an editor field was being typed in
+    const focusKey = document.activeElement?.dataset?.focusKey
+    const focusedEditor = focusKey
+      ? { key: focusKey, start: document.activeElement.selectionStart, end: document.activeElement.selectionEnd }
+      : null
+
     try {
       switch (this.activeTab) {
         case "network":
@@ -1210,9 +1588,15 @@ vertical-align: baseline !important;
         case "logs":
           container.innerHTML = this.renderSalesforceLogs()
           break
+        case "timeline":
+          container.innerHTML = this.renderTimeline()
+          break
         case "errors":
           container.innerHTML = this.renderErrors()
           break
+        case "mocks":
+          container.innerHTML = this.renderMocks()
+          break
       }
 
       // Add click handlers for expandable items
@@ -1227,6 +1611,18 @@ vertical-align: baseline !important;
         })
       })
 
+      this.setupReplayEventListeners(container)
+      this.setupMockEventListeners(container)
+      if (focusedEditor) {
+        const field = container.querySelector(`[data-focus-key="${focusedEditor.key}"]`)
+        if (field) {
+          field.focus()
+          if (typeof field.setSelectionRange === "function" && focusedEditor.start !== null) {
+            field.setSelectionRange(focusedEditor.start, focusedEditor.end)
+          }
+        }
+      }
+
       // Add click handlers for session headers
       container.querySelectorAll(".sfcc-session-header").forEach((header) => {
         header.addEventListener("click", (e) => {
@@ -1254,10 +1650,31 @@ vertical-align: baseline !important;
         })
       })
 
+      // Add click handlers for call tree nodes
+      container.querySelectorAll(".sfcc-tree-node-header").forEach((header) => {
+        header.addEventListener("click", (e) => {
+          const node = e.target.closest(".sfcc-tree-node")
+          const children = node.querySelector(":scope > .sfcc-tree-children")
+          if (children) {
+            const isVisible = children.style.display === "block"
+            children.style.display = isVisible ? "none" : "block"
+            header.firstElementChild.textContent = isVisible ? "▸" : "▾"
+          }
+        })
+      })
+
       // Add session management event listeners if on sessions tab
       if (this.activeTab === "sessions") {
         this.setupSessionTabEventListeners()
       }
+
+      if (this.activeTab === "timeline") {
+        this.setupTimelineEventListeners(container)
+      }
+
+      if (this.activeTab === "logs") {
+        this.setupLogTabEventListeners(container)
+      }
     } catch (error) {
       console.error("Error rendering tab content:", error)
     }
@@ -1268,10 +1685,7 @@ vertical-align: baseline !important;
 
     // Apply filter if active
     if (this.activeFilter) {
-      filteredCalls = this.networkCalls.filter((call) => {
-        const stage = this.mapUrlToRequirement(call.url, call.requestBody)
-        return stage === this.activeFilter
-      })
+      filteredCalls = this.networkCalls.filter((call) => this.getRequirementKeysForCall(call).includes(this.activeFilter))
     }
 
     if (filteredCalls.length === 0) {
@@ -1287,19 +1701,26 @@ vertical-align: baseline !important;
     return filteredCalls
       .slice(0, 20) // Limit to avoid performance issues
       .map((call) => {
-        const stage = this.mapUrlToRequirement(call.url, call.requestBody)
-        const stageLabel = stage ? this.requirements.find((r) => r.key === stage)?.label || stage : "Other"
+        const analysis = this.getCallAnalysis(call)
+        const stageLabel =
+          this.getRequirementKeysForCall(call)
+            .map((key) => this.requirements.find((r) => r.key === key)?.label || key)
+            .join(", ") || (analysis?.graphql ? `GraphQL ${analysis.checkoutStage}` : "Other")
 
-        // Get analysis from analyzer if available
-        const analysisInfo = ""
+        // Cart summary totals and what changed since the previous response
+        const analysisInfo = this.renderCartDiff(call) + this.renderResponseDiff(call)
+        const callIndex = this.networkCalls.indexOf(call)
+        const isEditing = this.replayEditor?.callIndex === callIndex
 
         return `
-      <div class="sfcc-network-call" style="background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; margin-bottom: 8px; overflow: hidden;">
+      <div class="sfcc-network-call" data-call-index="${callIndex}" style="background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; margin-bottom: 8px; overflow: hidden;">
         <div class="sfcc-network-call-header" style="padding: 8px 12px; display: flex; justify-content: space-between; align-items: center; cursor: pointer; transition: background 0.2s;">
           <div style="display: flex; align-items: center; flex: 1;">
             <span style="font-weight: 600; font-size: 10px; padding: 2px 6px; border-radius: 3px; color: white; margin-right: 8px; background: ${this.getMethodColor(call.method)};">${call.method}</span>
             <span style="font-family: monospace; font-size: 10px; color: #374151; flex: 1; margin-right: 8px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${call.urlName || this.truncateUrl(call.url)}</span>
             <span style="background: #dbeafe; color: #1d4ed8; padding: 1px 4px; border-radius: 3px; font-size: 9px; font-weight: 500; text-transform: uppercase; margin-left: 4px;">${stageLabel}</span>
+            ${call.replayOf ? `<span style="background: #ede9fe; color: #6d28d9; padding: 1px 4px; border-radius: 3px; font-size: 9px; font-weight: 500; margin-left: 4px;">↻ Replay${call.replayOf.edited ? " (edited)" : ""}</span>` : ""}
+            ${call.mocked ? `<span style="background: #fce7f3; color: #be185d; padding: 1px 4px; border-radius: 3px; font-size: 9px; font-weight: 500; margin-left: 4px;" title="${this.escapeHtml(call.mocked.name)}">🧪 Mocked</span>` : ""}
           </div>
           <div style="display: flex; align-items: center; gap: 8px;">
             <span style="font-size: 10px; color: #6b7280;">${call.duration}ms</span>
@@ -1308,7 +1729,8 @@ vertical-align: baseline !important;
             </div>
           </div>
         </div>
-        <div class="sfcc-network-call-details" style="padding: 12px; background: white; border-top: 1px solid #e5e7eb; display: none; font-size: 11px;">
+        <div class="sfcc-network-call-details" style="padding: 12px; background: white; border-top: 1px solid #e5e7eb; display: ${isEditing ? "block" : "none"}; font-size: 11px;">
+          ${this.renderReplayControls(call, callIndex)}
           ${analysisInfo}
           
           <div style="margin-bottom: 12px;">
@@ -1318,14 +1740,34 @@ vertical-align: baseline !important;
               <div><strong>Method:</strong> ${call.method}</div>
               <div><strong>Time:</strong> ${new Date(call.timestamp).toLocaleString()}</div>
               <div><strong>Duration:</strong> ${call.duration}ms</div>
+              ${call.actionCount ? `<div><strong>Batch:</strong> ${call.actionCount} action${call.actionCount !== 1 ? "s" : ""}, listed as separate calls</div>` : ""}
+              ${
+                call.actionType
+                  ? `<div><strong>Action:</strong> ${this.escapeHtml(call.classname)}.${this.escapeHtml(call.methodName)} (${this.escapeHtml(call.actionState)})</div>
+              <div><strong>Batch:</strong> ${this.escapeHtml(call.parentUrl)}${call.actionId ? ` #${this.escapeHtml(call.actionId)}` : ""}</div>
+              ${call.error ? `<div style="color: #ef4444;"><strong>Error:</strong> ${this.escapeHtml(call.error)}</div>` : ""}`
+                  : ""
+              }
+              ${
+                analysis?.graphql
+                  ? `<div><strong>GraphQL:</strong> ${analysis.operationType} ${this.escapeHtml(analysis.operationName || "(anonymous)")}${analysis.graphql.operations.length > 1 ? ` (+${analysis.graphql.operations.length - 1} batched)` : ""}</div>
+              ${analysis.graphqlErrors.map((error) => `<div style="color: #ef4444;"><strong>GraphQL Error${error.path ? ` at ${this.escapeHtml(error.path)}` : ""}:</strong> ${this.escapeHtml(error.message)}</div>`).join("")}`
+                  : ""
+              }
+              ${call.credentials ? `<div><strong>Credentials:</strong> ${this.escapeHtml(call.credentials)}</div>` : ""}
+              ${call.mocked ? `<div style="color: #be185d;"><strong>Mocked:</strong> ${this.escapeHtml(call.mocked.name)} (${this.escapeHtml(this.getMockActionLabel(call.mocked.action))})</div>` : ""}
+              ${call.requestId ? `<div><strong>Request ID:</strong> ${this.escapeHtml(call.requestId)}</div>` : ""}
             </div>
           </div>
           
+          ${this.renderHeaders("Request Headers", call.requestHeaders)}
+          ${this.renderHeaders("Response Headers", call.responseHeaders)}
+          
           ${
             call.requestBody
               ? `
             <div style="margin-bottom: 12px;">
-              <div style="font-weight: 600; font-size: 10px; color: #374151; margin-bottom: 4px; text-transform: uppercase;">Request Body</div>
+              <div style="font-weight: 600; font-size: 10px; color: #374151; margin-bottom: 4px; text-transform: uppercase;">Request Body${call.requestBodyType && call.requestBodyType !== "json" ? ` (${this.escapeHtml(call.requestBodyType)})` : ""}</div>
               <div style="font-family: monospace; font-size: 9px; background: #fef3c7; padding: 6px; border-radius: 3px; border: 1px solid #fde68a; white-space: pre-wrap; max-height: 120px; overflow: auto;">
                 ${typeof call.requestBody === "string" ? call.requestBody : JSON.stringify(call.requestBody, null, 2)}
               </div>
@@ -1407,6 +1849,7 @@ vertical-align: baseline !important;
       <div>No sessions found</div>
       <div style="font-size: 10px; margin-top: 8px;">Sessions will appear here as you debug checkout flows</div>
       <button id="sfcc-create-session-btn" style="margin-top: 12px; padding: 6px 12px; border: 1px solid #60a5fa; border-radius: 4px; background: #60a5fa; color: white; font-size: 11px; cursor: pointer;">Create New Session</button>
+      <div style="margin-top: 8px;">${this.renderHarImportControls()}</div>
     </div>
   `
     }
@@ -1417,8 +1860,13 @@ vertical-align: baseline !important;
     return `
     <div style="margin-bottom: 12px; display: flex; justify-content: space-between; align-items: center;">
       <div style="font-size: 12px; color: #6b7280;">${sessions.length} session${sessions.length !== 1 ? "s" : ""} found</div>
-      <button id="sfcc-create-session-btn" style="padding: 4px 8px; border: 1px solid #60a5fa; border-radius: 4px; background: #60a5fa; color: white; font-size: 10px; cursor: pointer;">New Session</button>
+      <div style="display: flex; gap: 6px; align-items: center;">
+        ${this.renderExportCredentialsOption()}
+        ${this.renderHarImportControls()}
+        <button id="sfcc-create-session-btn" style="padding: 4px 8px; border: 1px solid #60a5fa; border-radius: 4px; background: #60a5fa; color: white; font-size: 10px; cursor: pointer;">New Session</button>
+      </div>
     </div>
+    ${this.renderImportStatus(this.harImportStatus)}
     
     ${sortedSessions
       .map((session) => {
@@ -1482,6 +1930,7 @@ vertical-align: baseline !important;
                 : ""
             }
             <button class="sfcc-export-session-btn" data-session-id="${session.id}" style="padding: 4px 8px; border: 1px solid #60a5fa; border-radius: 3px; background: #60a5fa; color: white; font-size: 9px; cursor: pointer;">Export</button>
+            <button class="sfcc-export-har-btn" data-session-id="${session.id}" style="padding: 4px 8px; border: 1px solid #60a5fa; border-radius: 3px; background: white; color: #60a5fa; font-size: 9px; cursor: pointer;">Export HAR</button>
             <button class="sfcc-delete-session-btn" data-session-id="${session.id}" style="padding: 4px 8px; border: 1px solid #ef4444; border-radius: 3px; background: #ef4444; color: white; font-size: 9px; cursor: pointer;">Delete</button>
           </div>
         </div>
@@ -1542,6 +1991,31 @@ vertical-align: baseline !important;
       })
     })
 
+    // Export session as HAR buttons
+    container.querySelectorAll(".sfcc-export-har-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        this.exportSessionHar(e.target.dataset.sessionId)
+      })
+    })
+
+    // Import HAR file
+    const harInput = container.querySelector("#sfcc-har-file-input")
+    const importHarBtn = container.querySelector("#sfcc-import-har-btn")
+    if (harInput && importHarBtn) {
+      importHarBtn.addEventListener("click", () => harInput.click())
+      harInput.addEventListener("change", () => {
+        const file = harInput.files[0]
+        if (file) this.importHar(file)
+      })
+    }
+
+    const includeCredentialsInput = container.querySelector("#sfcc-export-include-credentials")
+    if (includeCredentialsInput) {
+      includeCredentialsInput.addEventListener("change", () => {
+        this.includeCredentialsInExports = includeCredentialsInput.checked
+      })
+    }
+
     // Delete session buttons
     container.querySelectorAll(".sfcc-delete-session-btn").forEach((btn) => {
       btn.addEventListener("click", (e) => {
@@ -1574,7 +2048,7 @@ vertical-align: baseline !important;
             <span style="font-size: 11px; color: #374151; flex: 1;">${correlation.type}</span>
           </div>
           <div style="display: flex; align-items: center; gap: 8px;">
-            <span style="font-size: 10px; color: #6b7280;">${new Date(correlation.timestamp).toLocaleTimeString()}</span>
+            <span style="font-size: 10px; color: #6b7280;">${new Date(correlation.networkCall?.timestamp).toLocaleTimeString()}</span>
             <div style="font-size: 11px; font-weight: 600; color: #8b5cf6;">
               ${(correlation.confidence * 100).toFixed(0)}%
             </div>
@@ -1587,7 +2061,8 @@ vertical-align: baseline !important;
               <div><strong>Type:</strong> ${correlation.type}</div>
               <div><strong>Confidence:</strong> ${(correlation.confidence * 100).toFixed(0)}%</div>
               <div><strong>Network Call:</strong> ${correlation.networkCall?.method} ${correlation.networkCall?.url}</div>
-              <div><strong>Salesforce Log:</strong> ${correlation.salesforceLog?.message}</div>
+              <div><strong>Salesforce Log:</strong> ${correlation.salesforceLog?.Operation || correlation.salesforceLog?.Request || "Unknown"} (${correlation.salesforceLog?.Id || "no ID"})</div>
+              ${correlation.reasoning ? `<div><strong>Reasoning:</strong> ${correlation.reasoning}</div>` : ""}
             </div>
           </div>
         </div>
@@ -1598,17 +2073,24 @@ vertical-align: baseline !important;
   }
 
   renderSalesforceLogs() {
+    const header = `
+    <div style="display: flex; justify-content: flex-end; align-items: center; gap: 6px; margin-bottom: 8px;">
+      ${this.renderLogImportControls()}
+    </div>
+    ${this.renderImportStatus(this.logImportStatus)}
+  `
+
     if (this.salesforceLogs.length === 0) {
-      return `
+      return `${header}
     <div style="text-align: center; padding: 40px 20px; color: #6b7280;">
       <div style="font-size: 32px; margin-bottom: 12px;">📋</div>
       <div>No Salesforce logs found</div>
-      <div style="font-size: 10px; margin-top: 8px;">Connect to Salesforce to see logs here</div>
+      <div style="font-size: 10px; margin-top: 8px;">Connect to Salesforce or import .log files to see logs here</div>
     </div>
   `
     }
 
-    return this.salesforceLogs
+    return header + this.salesforceLogs
       .slice(0, 20) // Limit to avoid performance issues
       .map((log) => {
         // Handle both parsed logs and raw logs
@@ -1636,9 +2118,13 @@ vertical-align: baseline !important;
               <div><strong>Duration:</strong> ${log.DurationMilliseconds || 0}ms</div>
               <div><strong>Time:</strong> ${logTime ? new Date(logTime).toLocaleString() : "Unknown"}</div>
               ${log.LogUser?.Name ? `<div><strong>User:</strong> ${log.LogUser.Name}</div>` : ""}
+              ${log.fileName ? `<div><strong>File:</strong> ${this.escapeHtml(log.fileName)} (start date inferred)</div>` : ""}
+              ${log.bodyEvicted ? `<div><strong>Body:</strong> evicted from the payload cache (${log.bodySize || 0} chars)</div>` : ""}
             </div>
           </div>
           
+          ${this.renderLogCallTree(log)}
+
           ${
             log.parsed?.errors?.length > 0
               ? `
@@ -1669,47 +2155,587 @@ vertical-align: baseline !important;
       .join("")
   }
 
-  renderErrors() {
-    if (this.errors.length === 0) {
-      return `
-    <div style="text-align: center; padding: 40px 20px; color: #6b7280;">
-      <div style="font-size: 32px; margin-bottom: 12px;">✅</div>
-      <div>No errors detected</div>
-      <div style="font-size: 10px; margin-top: 8px;">Errors will appear here when detected</div>
-    </div>
-  `
+  // Expandable execution tree with self/total time per code unit, method, query, DML and callout
+  renderLogCallTree(log) {
+    const tree = this.getLogTree(log)
+    if (!tree || tree.children.length === 0) return ""
+
+    const budget = { remaining: 400 } // Limit rendered nodes to avoid performance issues
+    const rows = this.getVisibleTreeChildren(tree)
+      .map((node) => this.renderCallTreeNode(node, tree.duration, 0, budget))
+      .join("")
+
+    return `
+          <div style="margin-bottom: 12px;">
+            <div style="font-weight: 600; font-size: 10px; color: #374151; margin-bottom: 4px; text-transform: uppercase;">Call Tree</div>
+            <div style="display: flex; font-size: 9px; color: #6b7280; padding: 0 6px 2px; font-family: monospace;">
+              <span style="flex: 1;">Unit</span>
+              <span style="width: 60px; text-align: right;">Self</span>
+              <span style="width: 60px; text-align: right;">Total</span>
+            </div>
+            <div class="sfcc-call-tree" style="font-family: monospace; font-size: 9px; background: #f8fafc; padding: 4px 0; border-radius: 3px; border: 1px solid #e2e8f0; max-height: 240px; overflow: auto;">
+              ${rows}
+              ${budget.remaining <= 0 ? '<div style="padding: 2px 6px; color: #6b7280;">Tree truncated...</div>' : ""}
+            </div>
+          </div>
+    `
+  }
+
+  renderCallTreeNode(node, rootDuration, depth, budget) {
+    if (budget.remaining <= 0) return ""
+    budget.remaining--
+
+    const children = this.getVisibleTreeChildren(node)
+    const childTime = children.reduce((sum, child) => sum + child.duration, 0)
+    const selfTime = Math.max(0, node.duration - childTime)
+    const share = rootDuration > 0 ? (node.duration / rootDuration) * 100 : 0
+    const expanded = depth < 2
+
+    const typeColors = {
+      CODE_UNIT_STARTED: "#8b5cf6",
+      METHOD_ENTRY: "#3b82f6",
+      CONSTRUCTOR_ENTRY: "#3b82f6",
+      SOQL_EXECUTE_BEGIN: "#10b981",
+      SOSL_EXECUTE_BEGIN: "#10b981",
+      DML_BEGIN: "#f59e0b",
+      CALLOUT_REQUEST: "#ef4444",
+    }
+    const typeLabels = {
+      CODE_UNIT_STARTED: "UNIT",
+      METHOD_ENTRY: "METHOD",
+      CONSTRUCTOR_ENTRY: "NEW",
+      SOQL_EXECUTE_BEGIN: "SOQL",
+      SOSL_EXECUTE_BEGIN: "SOSL",
+      DML_BEGIN: "DML",
+      CALLOUT_REQUEST: "CALLOUT",
+      EXECUTION_STARTED: "EXEC",
     }
 
-    return this.errors
-      .map((error) => {
-        return `
-      <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 6px; margin-bottom: 8px; padding: 12px;">
-        <div style="display: flex; justify-content: between; align-items: center; margin-bottom: 8px;">
-          <div style="font-weight: 600; font-size: 11px; color: #dc2626;">${error.type || "Error"}</div>
-          <div style="font-size: 10px; color: #6b7280;">${new Date(error.timestamp).toLocaleTimeString()}</div>
+    return `
+      <div class="sfcc-tree-node">
+        <div class="sfcc-tree-node-header" style="display: flex; align-items: center; padding: 1px 6px 1px ${6 + depth * 12}px; cursor: ${children.length ? "pointer" : "default"}; background: linear-gradient(to right, #e0e7ff ${share.toFixed(1)}%, transparent ${share.toFixed(1)}%);" title="Line ${node.lineNumber}${node.closed ? "" : " (no exit event)"}">
+          <span style="width: 10px; color: #6b7280;">${children.length ? (expanded ? "▾" : "▸") : ""}</span>
+          <span style="font-weight: 600; color: ${typeColors[node.type] || "#6b7280"}; margin-right: 6px;">${typeLabels[node.type] || node.type}</span>
+          <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #374151;">${this.escapeHtml(node.name)}</span>
+          <span style="width: 60px; text-align: right; color: #374151;">${this.formatNanos(selfTime)}</span>
+          <span style="width: 60px; text-align: right; color: #6b7280;">${this.formatNanos(node.duration)}</span>
         </div>
-        <div style="font-size: 10px; color: #374151; margin-bottom: 8px;">${error.message}</div>
         ${
-          error.details
-            ? `
-          <div style="font-family: monospace; font-size: 9px; background: white; padding: 6px; border-radius: 3px; border: 1px solid #fecaca; white-space: pre-wrap; max-height: 120px; overflow: auto;">
-            ${typeof error.details === "string" ? error.details : JSON.stringify(error.details, null, 2)}
-          </div>
-        `
+          children.length
+            ? `<div class="sfcc-tree-children" style="display: ${expanded ? "block" : "none"};">${children
+                .map((child) => this.renderCallTreeNode(child, rootDuration, depth + 1, budget))
+                .join("")}</div>`
             : ""
         }
       </div>
     `
-      })
-      .join("")
   }
 
-  getMethodColor(method) {
-    const colors = {
-      GET: "#10b981",
-      POST: "#3b82f6",
-      PUT: "#f59e0b",
-      DELETE: "#ef4444",
+  // System method frames are noise for this view - hoist their children and fold their self time into the parent
+  getVisibleTreeChildren(node) {
+    return node.children.flatMap((child) =>
+      child.type.startsWith("SYSTEM_") ? this.getVisibleTreeChildren(child) : [child],
+    )
+  }
+
+  // log.parsed is a flat summary - parse the body on demand; older records may still carry a tree
+  getLogTree(log) {
+    if (log.parsed?.tree) return log.parsed.tree
+    if (!log.body || !window.ApexLogParser) return null
+
+    if (!this.logTreeCache) this.logTreeCache = new Map()
+    const cacheKey = log.Id || log.body
+    if (!this.logTreeCache.has(cacheKey)) {
+      this.logTreeCache.set(cacheKey, new window.ApexLogParser().parse(log.body).tree)
+    }
+    return this.logTreeCache.get(cacheKey)
+  }
+
+  formatNanos(nanos) {
+    const ms = nanos / 1e6
+    if (ms >= 1000) return `${(ms / 1000).toFixed(2)}s`
+    if (ms >= 1) return `${ms.toFixed(1)}ms`
+    return `${(nanos / 1000).toFixed(0)}µs`
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  }
+
+  // Waterfall of network calls and Apex executions on one clock
+  renderTimeline() {
+    const calls = this.networkCalls.slice(-50) // Latest calls only, to avoid performance issues
+    if (calls.length === 0) {
+      return `
+    <div style="text-align: center; padding: 40px 20px; color: #6b7280;">
+      <div style="font-size: 32px; margin-bottom: 12px;">📈</div>
+      <div>No network calls captured</div>
+      <div style="font-size: 10px; margin-top: 8px;">Perform checkout actions to see the timeline</div>
+    </div>
+  `
+    }
+
+    const callBars = calls
+      .map((call) => ({
+        item: call,
+        start: call.timestamp - (call.duration || 0),
+        end: call.timestamp,
+      }))
+      .sort((a, b) => a.start - b.start)
+
+    const rangeStart = callBars[0].start
+    const rangeEnd = Math.max(...callBars.map((bar) => bar.end))
+
+    const clockOffset = this.correlationEngine?.getClockSkew ? this.correlationEngine.getClockSkew().offset : 0
+
+    // Logs correlated with the calls shown, plus any other log that overlaps them
+    const shownCalls = new Set(calls)
+    const correlatedLogs = new Set(
+      this.correlations
+        .filter((correlation) => shownCalls.has(correlation.networkCall))
+        .map((correlation) => correlation.salesforceLog),
+    )
+    const logBars = this.salesforceLogs
+      .filter((log) => log.StartTime)
+      .map((log) => {
+        // Shift server-clock log times onto the browser clock
+        const start = new Date(log.StartTime).getTime() - clockOffset
+        return { item: log, start, end: start + (log.DurationMilliseconds || 0) }
+      })
+      .filter((bar) => correlatedLogs.has(bar.item) || (bar.end >= rangeStart && bar.start <= rangeEnd))
+      .sort((a, b) => a.start - b.start)
+
+    const timelineStart = Math.min(rangeStart, ...logBars.map((bar) => bar.start))
+    const timelineEnd = Math.max(rangeEnd, ...logBars.map((bar) => bar.end))
+    const span = Math.max(1, timelineEnd - timelineStart)
+
+    // Partner keys so hovering a bar can light up the other lane
+    callBars.forEach((bar, index) => (bar.key = `call-${index}`))
+    logBars.forEach((bar, index) => (bar.key = `log-${index}`))
+    const keyFor = new Map([...callBars, ...logBars].map((bar) => [bar.item, bar.key]))
+    const partners = new Map()
+    this.correlations.forEach((correlation) => {
+      const callKey = keyFor.get(correlation.networkCall)
+      const logKey = keyFor.get(correlation.salesforceLog)
+      if (!callKey || !logKey) return
+      partners.set(callKey, [...(partners.get(callKey) || []), logKey])
+      partners.set(logKey, [...(partners.get(logKey) || []), callKey])
+    })
+
+    const renderBar = (bar, label, color, title) => {
+      const left = ((bar.start - timelineStart) / span) * 100
+      const width = Math.max(0.5, ((bar.end - bar.start) / span) * 100)
+      return `
+        <div style="display: flex; align-items: center; height: 16px;">
+          <div style="width: 110px; font-size: 9px; color: #374151; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; padding-right: 6px;" title="${this.escapeHtml(title)}">${this.escapeHtml(label)}</div>
+          <div style="flex: 1; position: relative; height: 10px;">
+            <div class="sfcc-timeline-bar" data-timeline-key="${bar.key}" data-partners="${(partners.get(bar.key) || []).join(" ")}" title="${this.escapeHtml(title)}" style="position: absolute; left: ${left.toFixed(2)}%; width: ${width.toFixed(2)}%; height: 100%; background: ${color}; border-radius: 2px; cursor: pointer; transition: opacity 0.15s;"></div>
+          </div>
+        </div>
+      `
+    }
+
+    const callRows = callBars
+      .map((bar) => {
+        const call = bar.item
+        const path = call.url.split("?")[0].split("/").slice(-2).join("/")
+        return renderBar(
+          bar,
+          `${call.method} ${path}`,
+          this.getMethodColor(call.method),
+          `${call.method} ${call.url}\n${call.status} • ${call.duration || 0}ms`,
+        )
+      })
+      .join("")
+
+    const logRows = logBars
+      .map((bar) => {
+        const log = bar.item
+        const label = log.parsed?.apexClass || log.Operation || log.Request || "Apex"
+        return renderBar(
+          bar,
+          label,
+          correlatedLogs.has(log) ? "#8b5cf6" : "#cbd5e1",
+          `${log.Operation || log.Request || "Salesforce Log"} (${log.Id || "no ID"})\n${log.DurationMilliseconds || 0}ms`,
+        )
+      })
+      .join("")
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1]
+      .map(
+        (fraction) =>
+          `<span style="position: absolute; left: ${fraction * 100}%; transform: translateX(${fraction === 1 ? "-100%" : fraction === 0 ? "0" : "-50%"}); font-size: 8px; color: #6b7280;">+${Math.round(span * fraction)}ms</span>`,
+      )
+      .join("")
+
+    const laneTitle = (text) =>
+      `<div style="font-weight: 600; font-size: 10px; color: #374151; margin: 8px 0 4px; text-transform: uppercase;">${text}</div>`
+
+    return `
+      <div class="sfcc-timeline">
+        <div style="display: flex; font-size: 9px; color: #6b7280; margin-bottom: 4px;">
+          <div style="width: 110px;">${new Date(timelineStart).toLocaleTimeString()}</div>
+          <div style="flex: 1; position: relative; height: 12px; border-bottom: 1px solid #e5e7eb;">${ticks}</div>
+        </div>
+        ${laneTitle("Network Calls")}
+        ${callRows}
+        ${laneTitle("Apex Executions")}
+        ${logRows || '<div style="font-size: 10px; color: #6b7280;">No Salesforce logs in this time range</div>'}
+      </div>
+    `
+  }
+
+  setupTimelineEventListeners(container) {
+    const bars = container.querySelectorAll(".sfcc-timeline-bar")
+
+    bars.forEach((bar) => {
+      bar.addEventListener("mouseenter", () => {
+        const related = new Set([bar.dataset.timelineKey, ...bar.dataset.partners.split(" ").filter(Boolean)])
+        bars.forEach((other) => {
+          const isRelated = related.has(other.dataset.timelineKey)
+          other.style.opacity = isRelated ? "1" : "0.25"
+          other.style.outline = isRelated && other !== bar ? "2px solid #f59e0b" : "none"
+        })
+      })
+
+      bar.addEventListener("mouseleave", () => {
+        bars.forEach((other) => {
+          other.style.opacity = "1"
+          other.style.outline = "none"
+        })
+      })
+    })
+  }
+
+  renderErrors() {
+    if (this.errors.length === 0) {
+      return `
+    <div style="text-align: center; padding: 40px 20px; color: #6b7280;">
+      <div style="font-size: 32px; margin-bottom: 12px;">✅</div>
+      <div>No errors detected</div>
+      <div style="font-size: 10px; margin-top: 8px;">Errors will appear here when detected</div>
+    </div>
+  `
+    }
+
+    return this.errors
+      .map((error) => {
+        return `
+      <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 6px; margin-bottom: 8px; padding: 12px;">
+        <div style="display: flex; justify-content: between; align-items: center; margin-bottom: 8px;">
+          <div style="font-weight: 600; font-size: 11px; color: #dc2626;">${error.type || "Error"}</div>
+          <div style="font-size: 10px; color: #6b7280;">${new Date(error.timestamp).toLocaleTimeString()}</div>
+        </div>
+        <div style="font-size: 10px; color: #374151; margin-bottom: 8px;">${error.message}</div>
+        ${
+          error.details
+            ? `
+          <div style="font-family: monospace; font-size: 9px; background: white; padding: 6px; border-radius: 3px; border: 1px solid #fecaca; white-space: pre-wrap; max-height: 120px; overflow: auto;">
+            ${typeof error.details === "string" ? error.details : JSON.stringify(error.details, null, 2)}
+          </div>
+        `
+            : ""
+        }
+      </div>
+    `
+      })
+      .join("")
+  }
+
+  getMockActionLabel(action) {
+    const labels = {
+      respond: "canned response",
+      status: "forced status",
+      delay: "latency only",
+      drop: "dropped",
+    }
+    return labels[action] || action
+  }
+
+  // Starting points for the faults QA reproduces most often
+  getMockPresets() {
+    return {
+      paymentDecline: {
+        name: "Payment declined",
+        callType: "payment",
+        methods: "POST",
+        action: "respond",
+        status: "400",
+        delayMs: "0",
+        responseBody: JSON.stringify([{ errorCode: "PAYMENT_DECLINED", message: "Your payment was declined." }], null, 2),
+      },
+      taxTimeout: {
+        name: "Tax service timeout",
+        callType: "taxes",
+        methods: "",
+        action: "respond",
+        status: "504",
+        delayMs: "30000",
+        responseBody: JSON.stringify([{ errorCode: "GATEWAY_TIMEOUT", message: "Tax calculation timed out." }], null, 2),
+      },
+      inventoryShortage: {
+        name: "Inventory shortage",
+        callType: "inventory",
+        methods: "",
+        action: "respond",
+        status: "409",
+        delayMs: "0",
+        responseBody: JSON.stringify(
+          [{ errorCode: "INSUFFICIENT_INVENTORY", message: "One or more items are out of stock." }],
+          null,
+          2,
+        ),
+      },
+    }
+  }
+
+  createMockForm(rule = {}) {
+    return {
+      id: rule.id || null,
+      name: rule.name || "",
+      urlPattern: rule.urlPattern || "",
+      methods: (rule.methods || []).join(", "),
+      callType: rule.callType || "",
+      payloadContains: rule.payloadContains || "",
+      action: rule.action || "respond",
+      status: rule.status !== undefined && rule.status !== null ? String(rule.status) : "500",
+      delayMs: String(rule.delayMs || 0),
+      responseBody: rule.responseBody || "",
+      error: null,
+    }
+  }
+
+  // Returns the rule to store, or throws with a message for the form
+  buildMockRule(form) {
+    const name = form.name.trim()
+    if (!name) throw new Error("Name is required")
+
+    const urlPattern = form.urlPattern.trim()
+    if (urlPattern) {
+      try {
+        new RegExp(urlPattern, "i")
+      } catch (error) {
+        throw new Error(`Invalid URL pattern: ${error.message}`)
+      }
+    }
+    if (!urlPattern && !form.callType) throw new Error("Match on a URL pattern, a call type or both")
+
+    const action = form.action
+    if (!["respond", "status", "delay", "drop"].includes(action)) throw new Error(`Unknown action "${action}"`)
+
+    const status = Number(form.status)
+    if ((action === "respond" || action === "status") && !(Number.isInteger(status) && status >= 200 && status <= 599)) {
+      throw new Error("Status must be between 200 and 599")
+    }
+
+    const delayMs = Number(form.delayMs || 0)
+    if (!Number.isFinite(delayMs) || delayMs < 0 || delayMs > 120000) {
+      throw new Error("Delay must be between 0 and 120000 ms")
+    }
+    if (action === "delay" && delayMs === 0) throw new Error("Latency rules need a delay")
+
+    return {
+      id: form.id || `mock-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      enabled: true,
+      urlPattern,
+      methods: form.methods
+        .split(/[\s,]+/)
+        .map((method) => method.trim().toUpperCase())
+        .filter(Boolean),
+      callType: form.callType || null,
+      payloadContains: form.payloadContains || null,
+      action,
+      status: action === "respond" || action === "status" ? status : null,
+      delayMs,
+      responseBody: action === "respond" ? form.responseBody : null,
+    }
+  }
+
+  renderMockForm() {
+    const form = this.mockForm
+    const callTypes = this.analyzer ? [...this.analyzer.callTypes.keys()] : []
+    const inputStyle =
+      "width: 100%; box-sizing: border-box; padding: 4px 6px; font-size: 10px; border: 1px solid #d1d5db; border-radius: 3px;"
+    const label = (text) => `<div style="font-size: 10px; color: #374151; margin: 6px 0 2px;">${text}</div>`
+    const input = (field, placeholder = "") =>
+      `<input class="sfcc-mock-field" data-field="${field}" data-focus-key="mock-${field}" value="${this.escapeHtml(form[field])}" placeholder="${this.escapeHtml(placeholder)}" style="${inputStyle}">`
+
+    return `
+      <div style="background: #fdf2f8; border: 1px solid #fbcfe8; border-radius: 6px; padding: 10px; margin-bottom: 12px;">
+        <div style="font-weight: 600; font-size: 11px; color: #be185d;">${form.id ? "Edit Mock Rule" : "New Mock Rule"}</div>
+        ${label("Name")}${input("name", "Payment declined")}
+        ${label("URL pattern (regular expression)")}${input("urlPattern", "/payments")}
+        <div style="display: flex; gap: 8px;">
+          <div style="flex: 1;">${label("Methods")}${input("methods", "POST, PATCH (blank = any)")}</div>
+          <div style="flex: 1;">
+            ${label("Call type")}
+            <select class="sfcc-mock-field" data-field="callType" style="${inputStyle}">
+              <option value="">Any</option>
+              ${callTypes.map((type) => `<option value="${this.escapeHtml(type)}" ${form.callType === type ? "selected" : ""}>${this.escapeHtml(type)}</option>`).join("")}
+            </select>
+          </div>
+        </div>
+        ${label("Request body contains")}${input("payloadContains", "paymentToken")}
+        <div style="display: flex; gap: 8px;">
+          <div style="flex: 2;">
+            ${label("Action")}
+            <select class="sfcc-mock-field" data-field="action" style="${inputStyle}">
+              ${["respond", "status", "delay", "drop"].map((action) => `<option value="${action}" ${form.action === action ? "selected" : ""}>${this.getMockActionLabel(action)}</option>`).join("")}
+            </select>
+          </div>
+          <div style="flex: 1;">${label("Status")}${input("status")}</div>
+          <div style="flex: 1;">${label("Delay (ms)")}${input("delayMs")}</div>
+        </div>
+        ${label("Response body (canned response only)")}
+        <textarea class="sfcc-mock-field" data-field="responseBody" data-focus-key="mock-responseBody" spellcheck="false" style="${inputStyle} min-height: 80px; font-family: monospace; font-size: 9px;">${this.escapeHtml(form.responseBody)}</textarea>
+        ${form.error ? `<div style="color: #ef4444; font-size: 10px; margin-top: 4px;">${this.escapeHtml(form.error)}</div>` : ""}
+        <div style="display: flex; gap: 6px; margin-top: 8px;">
+          <button class="sfcc-mock-save-btn" style="padding: 3px 8px; font-size: 10px; border: none; background: #be185d; color: white; border-radius: 4px; cursor: pointer;">Save Rule</button>
+          <button class="sfcc-mock-cancel-btn" style="padding: 3px 8px; font-size: 10px; border: 1px solid #e2e8f0; background: white; color: #374151; border-radius: 4px; cursor: pointer;">Cancel</button>
+        </div>
+      </div>
+    `
+  }
+
+  renderMocks() {
+    const presets = this.getMockPresets()
+    const buttonStyle =
+      "padding: 3px 8px; font-size: 10px; border: 1px solid #e2e8f0; background: white; color: #374151; border-radius: 4px; cursor: pointer;"
+
+    const rules = this.mockRules
+      .map((rule) => {
+        const matchers = [
+          rule.methods?.length ? rule.methods.join("/") : "ANY",
+          rule.urlPattern ? `/${rule.urlPattern}/` : null,
+          rule.callType ? `type ${rule.callType}` : null,
+          rule.payloadContains ? `body contains "${rule.payloadContains}"` : null,
+        ].filter(Boolean)
+        const outcome = [
+          this.getMockActionLabel(rule.action),
+          rule.status ? String(rule.status) : null,
+          rule.delayMs ? `+${rule.delayMs}ms` : null,
+        ].filter(Boolean)
+
+        return `
+      <div style="background: ${rule.enabled ? "#fdf2f8" : "#f9fafb"}; border: 1px solid ${rule.enabled ? "#fbcfe8" : "#e5e7eb"}; border-radius: 6px; margin-bottom: 8px; padding: 8px 12px; display: flex; align-items: center; gap: 8px;">
+        <input type="checkbox" class="sfcc-mock-toggle" data-rule-id="${this.escapeHtml(rule.id)}" ${rule.enabled ? "checked" : ""} title="Enable rule">
+        <div style="flex: 1; min-width: 0;">
+          <div style="font-size: 11px; font-weight: 600; color: #374151;">${this.escapeHtml(rule.name)}</div>
+          <div style="font-family: monospace; font-size: 9px; color: #6b7280; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(matchers.join(" · "))} → ${this.escapeHtml(outcome.join(" "))}</div>
+        </div>
+        <button class="sfcc-mock-edit-btn" data-rule-id="${this.escapeHtml(rule.id)}" style="${buttonStyle}">Edit</button>
+        <button class="sfcc-mock-delete-btn" data-rule-id="${this.escapeHtml(rule.id)}" style="${buttonStyle} color: #ef4444;">Delete</button>
+      </div>
+    `
+      })
+      .join("")
+
+    return `
+      <div style="font-size: 10px; color: #6b7280; margin-bottom: 8px;">
+        Rules apply to every request on ${this.escapeHtml(window.location.origin)} until disabled. The first matching enabled rule wins.
+      </div>
+      <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px;">
+        <button class="sfcc-mock-add-btn" style="${buttonStyle}">+ New Rule</button>
+        ${Object.entries(presets)
+          .map(([key, preset]) => `<button class="sfcc-mock-add-btn" data-preset="${key}" style="${buttonStyle}">+ ${this.escapeHtml(preset.name)}</button>`)
+          .join("")}
+      </div>
+      ${this.mockForm ? this.renderMockForm() : ""}
+      ${
+        rules ||
+        `
+    <div style="text-align: center; padding: 40px 20px; color: #6b7280;">
+      <div style="font-size: 32px; margin-bottom: 12px;">🧪</div>
+      <div>No mock rules</div>
+      <div style="font-size: 10px; margin-top: 8px;">Fake responses, status codes, latency or dropped calls for checkout endpoints</div>
+    </div>
+  `
+      }
+    `
+  }
+
+  setupMockEventListeners(container) {
+    container.querySelectorAll(".sfcc-mock-add-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        const preset = this.getMockPresets()[button.dataset.preset]
+        this.mockForm = { ...this.createMockForm(), ...(preset || {}) }
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-mock-field").forEach((field) => {
+      const eventName = field.tagName === "SELECT" ? "change" : "input"
+      field.addEventListener(eventName, () => {
+        if (this.mockForm) this.mockForm[field.dataset.field] = field.value
+      })
+    })
+
+    container.querySelectorAll(".sfcc-mock-save-btn").forEach((button) => {
+      button.addEventListener("click", async () => {
+        try {
+          const rule = this.buildMockRule(this.mockForm)
+          const existing = this.mockRules.findIndex((candidate) => candidate.id === rule.id)
+          if (existing >= 0) {
+            this.mockRules[existing] = { ...rule, enabled: this.mockRules[existing].enabled }
+          } else {
+            this.mockRules.push(rule)
+          }
+          this.mockForm = null
+          await this.saveMockRules()
+        } catch (error) {
+          this.mockForm.error = error.message
+        }
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-mock-cancel-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.mockForm = null
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-mock-toggle").forEach((checkbox) => {
+      checkbox.addEventListener("change", async () => {
+        const rule = this.mockRules.find((candidate) => candidate.id === checkbox.dataset.ruleId)
+        if (!rule) return
+        rule.enabled = checkbox.checked
+        await this.saveMockRules()
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-mock-edit-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        const rule = this.mockRules.find((candidate) => candidate.id === button.dataset.ruleId)
+        if (!rule) return
+        this.mockForm = this.createMockForm(rule)
+        this.renderTabContent()
+      })
+    })
+
+    container.querySelectorAll(".sfcc-mock-delete-btn").forEach((button) => {
+      button.addEventListener("click", async () => {
+        this.mockRules = this.mockRules.filter((rule) => rule.id !== button.dataset.ruleId)
+        if (this.mockForm?.id === button.dataset.ruleId) this.mockForm = null
+        await this.saveMockRules()
+        this.renderTabContent()
+      })
+    })
+  }
+
+  getMethodColor(method) {
+    const colors = {
+      GET: "#10b981",
+      POST: "#3b82f6",
+      PUT: "#f59e0b",
+      DELETE: "#ef4444",
       PATCH: "#8b5cf6",
     }
     return colors[method] || "#6b7280"
@@ -1807,6 +2833,15 @@ vertical-align: baseline !important;
         this.safeSetTextContent(correlationCountElement, this.salesforceLogs.length.toString())
       }
 
+      // Update clock skew estimate
+      const clockSkewElement = document.getElementById("sfcc-clock-skew")
+      if (clockSkewElement && this.correlationEngine?.getClockSkew) {
+        const skew = this.correlationEngine.getClockSkew()
+        const label = skew.source === "none" ? "-" : `${skew.offset >= 0 ? "+" : ""}${(skew.offset / 1000).toFixed(1)}s`
+        this.safeSetTextContent(clockSkewElement, label)
+        clockSkewElement.title = skew.source === "none" ? "No estimate yet" : `${skew.source} (${skew.samples} samples)`
+      }
+
       // Update current session display
       this.updateCurrentSessionDisplay()
     } catch (error) {
@@ -1827,6 +2862,14 @@ vertical-align: baseline !important;
       this.autoSaveCurrentSession()
     }, 30000) // Auto-save every 30 seconds
 
+    // New ApexLogs arrive without pressing "Sync SF"
+    if (this.logFeedInterval) {
+      clearInterval(this.logFeedInterval)
+    }
+    this.logFeedInterval = setInterval(() => {
+      this.pollLogFeed()
+    }, 15000)
+
     this.updatePanelContent()
   }
 
@@ -1841,9 +2884,39 @@ vertical-align: baseline !important;
       this.autoSaveInterval = null
     }
 
+    if (this.logFeedInterval) {
+      clearInterval(this.logFeedInterval)
+      this.logFeedInterval = null
+    }
+
     this.updatePanelContent()
   }
 
+  // The background worker queries the org incrementally and caches bodies; only an open session asks
+  pollLogFeed() {
+    if (!this.isContextValid() || !this.currentSession || this.currentSession.endTime) return
+
+    try {
+      this.chrome.runtime.sendMessage(
+        {
+          action: "pollSalesforceLogs",
+          since: this.currentSession.startTime,
+          afterSequence: this.logFeedSequence,
+        },
+        (response) => {
+          if (this.chrome.runtime.lastError || !response?.success) return
+
+          this.logFeedSequence = response.sequence
+          if (response.logs.length > 0) {
+            this.addSalesforceLogs(response.logs)
+          }
+        },
+      )
+    } catch (error) {
+      console.warn("Log feed poll failed:", error)
+    }
+  }
+
   // Enhanced checkout ID extraction for Salesforce Commerce API endpoints
   extractCheckoutId(callData) {
     const url = callData.url
@@ -1936,6 +3009,13 @@ vertical-align: baseline !important;
 
   handleNetworkCall(callData) {
     try {
+      // Batched Aura and webruntime Apex calls are recorded as the batch followed by one call per action
+      const batch = this.splitActionBatch(callData)
+      if (batch.length > 1) {
+        batch.forEach((call) => this.handleNetworkCall(call))
+        return
+      }
+
       // Analyze the call if analyzer is available
       if (this.analyzer && typeof this.analyzer.analyzeCall === "function") {
         try {
@@ -1971,6 +3051,16 @@ vertical-align: baseline !important;
         }
       }
 
+      // Link replays to the call they re-issued
+      if (callData.replayId && this.pendingReplays.has(callData.replayId)) {
+        const { original, edited } = this.pendingReplays.get(callData.replayId)
+        this.pendingReplays.delete(callData.replayId)
+        callData.replayOf = { method: original.method, url: original.url, timestamp: original.timestamp, edited }
+        original.replayCount = (original.replayCount || 0) + 1
+      }
+
+      this.getCallErrors(callData).forEach((error) => this.handleError(error))
+
       // Add to network calls
       this.networkCalls.push(callData)
 
@@ -1985,15 +3075,16 @@ vertical-align: baseline !important;
       // Update checkout data based on the call
       this.updateCheckoutData(callData)
 
-      // Create correlations if correlation engine is available
-      if (this.correlationEngine && typeof this.correlationEngine.createCorrelations === "function") {
+      // Correlate the new call against the logs synced so far
+      if (this.correlationEngine && typeof this.correlationEngine.addNetworkCall === "function") {
         try {
-          const newCorrelations = this.correlationEngine.createCorrelations([callData], this.salesforceLogs)
-          this.correlations.push(...newCorrelations)
+          this.correlationEngine.addNetworkCall(callData)
+          this.correlations = this.correlationEngine.getLiveCorrelations()
         } catch (error) {
           console.warn("Error creating correlations:", error)
         }
       }
+      this.refreshClockSkew()
 
       // Update panel if it's open
       this.updatePanelContent()
@@ -2004,6 +3095,157 @@ vertical-align: baseline !important;
     }
   }
 
+  // GraphQL reports failures in an errors array, often with HTTP 200
+  getCallErrors(callData) {
+    const graphqlErrors = callData.analysis?.graphqlErrors || []
+    if (graphqlErrors.length === 0) return []
+
+    return [
+      {
+        type: "GraphQL Error",
+        message: `${callData.analysis.operationName || "GraphQL operation"}: ${graphqlErrors.map((error) => error.message).join("; ")}`,
+        details: graphqlErrors,
+        timestamp: callData.timestamp,
+        url: callData.url,
+      },
+    ]
+  }
+
+  // [batch, ...actions] for a decodable batch, otherwise [callData]. The batch keeps its request so it can be
+  // replayed and exported; actionCount marks it as split and each action points back to it through parentId.
+  splitActionBatch(callData) {
+    const actionCalls = this.decodeActionCalls(callData)
+    if (!actionCalls) return [callData]
+
+    callData.actionCount = actionCalls.length
+    return [callData, ...actionCalls]
+  }
+
+  decodeActionCalls(callData) {
+    if (!window.AuraActionDecoder) return null
+    if (!this.actionDecoder) this.actionDecoder = new window.AuraActionDecoder()
+    return this.actionDecoder.decode(callData)
+  }
+
+  // Feed newly synced logs into the live correlation engine
+  correlateSalesforceLogs() {
+    if (!this.correlationEngine || typeof this.correlationEngine.addSalesforceLogs !== "function") return
+
+    try {
+      this.correlationEngine.addSalesforceLogs(this.salesforceLogs, { complete: true })
+      this.correlations = this.correlationEngine.getLiveCorrelations()
+    } catch (error) {
+      console.warn("Error correlating Salesforce logs:", error)
+    }
+
+    this.refreshClockSkew()
+  }
+
+  async loadCustomCorrelationRules() {
+    if (!this.correlationEngine || typeof this.correlationEngine.loadCustomRules !== "function") return
+
+    const storageKey = window.CorrelationEngine.CUSTOM_RULES_STORAGE_KEY
+    const result = await this.safeChromeCall(() => this.chrome.storage.local.get([storageKey]), {})
+
+    const { errors } = this.correlationEngine.loadCustomRules(result[storageKey] || [])
+    errors.forEach((error) => console.warn("Skipped custom correlation rule:", error.error))
+
+    this.resetCorrelations()
+    this.updatePanelContent()
+  }
+
+  async loadCustomCallTypes() {
+    if (!this.analyzer || typeof this.analyzer.loadCustomCallTypes !== "function") return
+
+    const storageKey = window.CheckoutCallAnalyzer.CUSTOM_TYPES_STORAGE_KEY
+    const result = await this.safeChromeCall(() => this.chrome.storage.local.get([storageKey]), {})
+
+    const { errors } = this.analyzer.loadCustomCallTypes(result[storageKey] || [])
+    errors.forEach((error) => console.warn("Skipped custom call type:", error.error))
+
+    this.rebuildCheckoutData()
+    // Call type predicates in mock rules are evaluated by the page's own analyzer
+    this.sendMockRulesToPage()
+  }
+
+  // Mock rules are stored per storefront: { mockRules: { [origin]: [rule, ...] } }
+  async loadMockRules() {
+    if (!this.isContextValid()) return
+
+    const result = await this.safeChromeCall(() => this.chrome.storage.local.get(["mockRules"]), {})
+    this.mockRules = result.mockRules?.[window.location.origin] || []
+
+    this.sendMockRulesToPage()
+    this.updateMockTabLabel()
+    if (this.activeTab === "mocks") this.renderTabContent()
+  }
+
+  async saveMockRules() {
+    const result = await this.safeChromeCall(() => this.chrome.storage.local.get(["mockRules"]), {})
+    const allRules = { ...(result.mockRules || {}), [window.location.origin]: this.mockRules }
+    await this.safeChromeCall(() => this.chrome.storage.local.set({ mockRules: allRules }))
+
+    this.sendMockRulesToPage()
+    this.updateMockTabLabel()
+  }
+
+  // Only the interceptor injected into the page applies the rules
+  sendMockRulesToPage() {
+    window.postMessage(
+      {
+        type: "SFCC_MOCK_RULES",
+        rules: this.mockRules.filter((rule) => rule.enabled),
+        customCallTypes: this.analyzer?.customCallTypes ? [...this.analyzer.customCallTypes.values()] : [],
+      },
+      "*",
+    )
+  }
+
+  // Make it obvious that responses on this storefront are being faked
+  updateMockTabLabel() {
+    const tab = document.querySelector('.sfcc-tab[data-tab="mocks"]')
+    if (!tab) return
+
+    const activeCount = this.mockRules.filter((rule) => rule.enabled).length
+    tab.textContent = activeCount > 0 ? `Mocks (${activeCount})` : "Mocks"
+  }
+
+  // Re-run analysis over every captured call, e.g. after call type definitions change
+  rebuildCheckoutData() {
+    if (this.networkCalls.length === 0) return
+
+    this.checkoutData = {}
+    this.networkCalls.forEach((call) => {
+      delete call.analysis
+      this.updateCheckoutData(call)
+    })
+    this.updatePanelContent()
+  }
+
+  // Re-estimate browser/server clock skew and rebuild correlations when it moves
+  refreshClockSkew() {
+    if (!this.correlationEngine || typeof this.correlationEngine.updateClockSkew !== "function") return
+
+    try {
+      if (this.correlationEngine.updateClockSkew(this.networkCalls, this.correlations)) {
+        this.resetCorrelations()
+      }
+    } catch (error) {
+      console.warn("Error estimating clock skew:", error)
+    }
+  }
+
+  // Rebuild live correlations from the current calls and logs
+  resetCorrelations() {
+    if (!this.correlationEngine || typeof this.correlationEngine.resetLiveCorrelation !== "function") return
+
+    try {
+      this.correlations = this.correlationEngine.resetLiveCorrelation(this.networkCalls, this.salesforceLogs)
+    } catch (error) {
+      console.warn("Error resetting correlations:", error)
+    }
+  }
+
   createNewSessionWithCheckoutId(checkoutId) {
     if (!this.sessionManager) {
       console.warn("SessionManager not available, cannot create session")
@@ -2239,11 +3481,14 @@ vertical-align: baseline !important;
           // Load the session data
           this.currentSession = session
           this.networkCalls = session.networkCalls || []
+          this.replayEditor = null
           this.errors = session.errors || []
           this.salesforceLogs = session.salesforceLogs || []
           this.correlations = session.correlations || []
           this.checkoutData = session.checkoutData || {}
           this.currentCheckoutId = session.checkoutId
+          this.resetCorrelations()
+          this.refreshClockSkew()
 
           //console.log("📂 Loaded session:", sessionId, "with checkout ID:", this.currentCheckoutId)
 
@@ -2252,6 +3497,8 @@ vertical-align: baseline !important;
 
           // Switch to network tab to show loaded data
           this.switchTab("network")
+
+          this.hydrateLoadedSession(session)
         } else {
           console.error("Session not found:", sessionId)
         }
@@ -2293,17 +3540,42 @@ vertical-align: baseline !important;
     }
   }
 
-  exportSession(sessionId) {
+  // Stored sessions keep log bodies and large payloads in the PayloadStore; bring them back and
+  // re-analyze the calls that were rendered from references
+  async hydrateLoadedSession(session) {
+    if (typeof this.sessionManager.hydrateSession !== "function") return
+
+    const isReference = (value) => !!value?.$payloadRef
+    const pendingCalls = this.networkCalls.filter((call) => isReference(call.response) || isReference(call.responseBody))
+    const hasLogRefs = this.salesforceLogs.some((log) => log.bodyRef && !log.body)
+    if (pendingCalls.length === 0 && !hasLogRefs) return
+
+    await this.sessionManager.hydrateSession(session)
+    if (this.currentSession?.id !== session.id) return
+
+    pendingCalls.forEach((call) => delete call.analysis)
+    this.resetCorrelations()
+    this.updatePanelContent()
+  }
+
+  // Exports carry full bodies; hydrate a copy so other stored sessions stay reference-only in memory
+  async loadFullSession(sessionId) {
+    const session = this.sessionManager.loadSession(sessionId)
+    if (!session || typeof this.sessionManager.hydrateSession !== "function") return session
+    return this.sessionManager.hydrateSession(structuredClone(session))
+  }
+
+  async exportSession(sessionId) {
     if (!this.sessionManager) {
       console.warn("SessionManager not available, cannot export session")
       return
     }
 
     try {
-      const session = this.sessionManager.loadSession(sessionId)
+      const session = await this.loadFullSession(sessionId)
       if (session) {
         const exportData = {
-          session: session,
+          session: this.includeCredentialsInExports ? session : window.CredentialRedactor.redactSession(session),
           exportTime: new Date().toISOString(),
           version: "1.0",
         }
@@ -2325,6 +3597,238 @@ vertical-align: baseline !important;
     }
   }
 
+  renderHarImportControls() {
+    return `
+      <input type="file" id="sfcc-har-file-input" accept=".har,application/json" style="display: none;">
+      <button id="sfcc-import-har-btn" style="padding: 4px 8px; border: 1px solid #60a5fa; border-radius: 4px; background: white; color: #60a5fa; font-size: 10px; cursor: pointer;">Import HAR</button>
+    `
+  }
+
+  renderExportCredentialsOption() {
+    return `
+      <label title="Authorization, cookie, CSRF and session token values are redacted in session and HAR exports unless this is checked" style="display: inline-flex; align-items: center; gap: 4px; font-size: 10px; color: #6b7280; cursor: pointer;">
+        <input type="checkbox" id="sfcc-export-include-credentials" ${this.includeCredentialsInExports ? "checked" : ""}>
+        Include credentials in exports
+      </label>
+    `
+  }
+
+  renderImportStatus(status) {
+    if (!status) return ""
+
+    const isError = status.type === "error"
+    return `
+    <div style="margin-bottom: 12px; padding: 6px 8px; border-radius: 4px; font-size: 10px; background: ${isError ? "#fef2f2" : "#f0fdf4"}; color: ${isError ? "#dc2626" : "#15803d"}; border: 1px solid ${isError ? "#fecaca" : "#bbf7d0"};">
+      ${this.escapeHtml(status.message)}
+    </div>
+  `
+  }
+
+  // HAR 1.2 with our analysis in _-prefixed fields; the active session exports what is on screen
+  async exportSessionHar(sessionId) {
+    if (!this.sessionManager || !window.HarConverter) {
+      console.warn("SessionManager or HarConverter not available, cannot export HAR")
+      return
+    }
+
+    try {
+      const session =
+        this.currentSession?.id === sessionId
+          ? { ...this.currentSession, networkCalls: this.networkCalls, correlations: this.correlations }
+          : await this.loadFullSession(sessionId)
+      if (!session) return
+
+      if (!this.harConverter) this.harConverter = new window.HarConverter()
+      session.networkCalls.forEach((call) => this.getCallAnalysis(call))
+
+      this.downloadJson(
+        this.harConverter.toHar(session, { includeCredentials: this.includeCredentialsInExports }),
+        `sfcc-session-${sessionId}-${new Date().toISOString().split("T")[0]}.har`,
+      )
+    } catch (error) {
+      console.error("Error exporting HAR:", error)
+    }
+  }
+
+  // Build a session from a DevTools HAR, analyzed the same way as live calls
+  async importHar(file) {
+    if (!this.sessionManager || !this.analyzer || !window.HarConverter) {
+      this.harImportStatus = { type: "error", message: "Analyzer components are still loading, try again in a moment" }
+      this.renderTabContent()
+      return
+    }
+
+    try {
+      if (!this.harConverter) this.harConverter = new window.HarConverter()
+      const { calls, skipped, title, session: exported } = this.harConverter.fromHar(await file.text())
+
+      const networkCalls = calls.flatMap((call) => this.splitActionBatch(call))
+      networkCalls.forEach((call) => this.getCallAnalysis(call))
+      if (networkCalls.length === 0) throw new Error(`No fetch/XHR calls found (${skipped} other entries skipped)`)
+
+      const session = this.sessionManager.importSession({
+        session: {
+          name: `HAR: ${exported?.name || file.name}`,
+          checkoutId: exported?.checkoutId || networkCalls.map((call) => this.extractCheckoutId(call)).find(Boolean) || null,
+          startTime: networkCalls[0].timestamp - (networkCalls[0].duration || 0),
+          endTime: networkCalls[networkCalls.length - 1].timestamp,
+          networkCalls,
+          errors: networkCalls.flatMap((call) => this.getCallErrors(call)),
+          salesforceLogs: [],
+          correlations: [],
+          checkoutData: {},
+          metadata: { url: title || file.name, source: "har", fileName: file.name, timestamp: Date.now() },
+        },
+      })
+
+      this.harImportStatus = {
+        type: "success",
+        message: `Imported ${networkCalls.length} call${networkCalls.length !== 1 ? "s" : ""} from ${file.name}${skipped > 0 ? ` (${skipped} non-API entries skipped)` : ""}`,
+      }
+
+      this.loadSession(session.id)
+      // Requirement status is recomputed from the analyzed calls rather than stored in the HAR
+      this.rebuildCheckoutData()
+      this.saveCurrentSession()
+    } catch (error) {
+      console.error("Error importing HAR:", error)
+      this.harImportStatus = { type: "error", message: `HAR import failed: ${error.message}` }
+      this.renderTabContent()
+    }
+  }
+
+  renderLogImportControls() {
+    return `
+      <input type="text" id="sfcc-log-utc-offset" data-focus-key="log-utc-offset" value="${this.escapeHtml(this.logUtcOffset)}" placeholder="UTC offset" title="Time zone of the log's user, e.g. -05:00. Blank uses the USER_INFO time zone in the log, or this browser's." style="width: 70px; padding: 3px 6px; border: 1px solid #d1d5db; border-radius: 4px; font-size: 10px;">
+      <input type="file" id="sfcc-log-file-input" accept=".log,.txt,.json,text/plain,application/json" multiple style="display: none;">
+      <button id="sfcc-import-log-btn" style="padding: 4px 8px; border: 1px solid #60a5fa; border-radius: 4px; background: white; color: #60a5fa; font-size: 10px; cursor: pointer;">Import .log</button>
+    `
+  }
+
+  setupLogTabEventListeners(container) {
+    const offsetInput = container.querySelector("#sfcc-log-utc-offset")
+    if (offsetInput) {
+      offsetInput.addEventListener("input", () => {
+        this.logUtcOffset = offsetInput.value
+      })
+    }
+
+    const logInput = container.querySelector("#sfcc-log-file-input")
+    const importLogBtn = container.querySelector("#sfcc-import-log-btn")
+    if (logInput && importLogBtn) {
+      importLogBtn.addEventListener("click", () => logInput.click())
+      logInput.addEventListener("change", () => {
+        if (logInput.files.length > 0) this.importLogFiles([...logInput.files])
+      })
+    }
+  }
+
+  // Raw Apex .log files (Developer Console, `sf apex get log`) or ApexLog records exported as JSON,
+  // correlated against the calls on screen without an org connection
+  async importLogFiles(files) {
+    if (!window.ApexLogParser) {
+      this.logImportStatus = { type: "error", message: "Log parser is still loading, try again in a moment" }
+      this.renderTabContent()
+      return
+    }
+
+    const utcOffsetMinutes = this.parseUtcOffset(this.logUtcOffset)
+    if (utcOffsetMinutes === undefined) {
+      this.logImportStatus = { type: "error", message: `Invalid UTC offset "${this.logUtcOffset}", expected e.g. -05:00` }
+      this.renderTabContent()
+      return
+    }
+
+    const records = []
+    const failures = []
+    for (const file of files) {
+      try {
+        records.push(...(await this.readLogFile(file, utcOffsetMinutes)))
+      } catch (error) {
+        console.error("Error reading log file:", error)
+        failures.push(`${file.name}: ${error.message}`)
+      }
+    }
+
+    const added = records.length > 0 ? this.addSalesforceLogs(records) : 0
+    const duplicates = records.length - added
+    this.logImportStatus = {
+      type: failures.length > 0 && added === 0 ? "error" : "success",
+      message: [
+        `Imported ${added} log${added !== 1 ? "s" : ""}${duplicates > 0 ? ` (${duplicates} already loaded)` : ""}`,
+        ...failures,
+      ].join(" · "),
+    }
+    this.renderTabContent()
+  }
+
+  async readLogFile(file, utcOffsetMinutes = null) {
+    const text = await file.text()
+    if (/^\s*[[{]/.test(text)) return this.toLogRecords(JSON.parse(text))
+
+    if (!this.logParser) this.logParser = new window.ApexLogParser()
+    // Anchor the log's time of day to the session's calls, or to the file's date when there are none
+    const referenceTimes =
+      this.networkCalls.length > 0 ? this.networkCalls.map((call) => call.timestamp) : [file.lastModified || Date.now()]
+
+    return [this.logParser.toLogRecord(text, { fileName: file.name, referenceTimes, utcOffsetMinutes })]
+  }
+
+  // ApexLog records exported as JSON (sf data query --json, Tooling API responses or our own exports)
+  toLogRecords(data) {
+    const records = Array.isArray(data)
+      ? data
+      : data?.records || data?.result?.records || data?.salesforceLogs || data?.session?.salesforceLogs
+
+    if (!Array.isArray(records) || !records.every((record) => record && (record.Id || record.StartTime))) {
+      throw new Error("expected ApexLog records with Id and StartTime")
+    }
+    return records
+  }
+
+  // "+02:00", "-5", "UTC+5:30" -> minutes east of UTC; null when blank, undefined when invalid
+  parseUtcOffset(value) {
+    const text = (value || "").trim()
+    if (!text) return null
+
+    const match = text.match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i)
+    if (!match) return undefined
+    return (match[1] === "-" ? -1 : 1) * (Number.parseInt(match[2]) * 60 + Number.parseInt(match[3] || "0"))
+  }
+
+  // Merge into the open session, newest first like the synced log list, and correlate
+  addSalesforceLogs(records) {
+    const known = new Set(this.salesforceLogs.map((log) => log.Id).filter(Boolean))
+    const added = records.filter((log) => !log.Id || !known.has(log.Id))
+
+    this.salesforceLogs = [...added, ...this.salesforceLogs].sort(
+      (a, b) => new Date(b.StartTime || 0) - new Date(a.StartTime || 0),
+    )
+    this.correlateSalesforceLogs()
+    if (this.currentSession) this.saveCurrentSession()
+    this.updatePanelContent()
+
+    return added.length
+  }
+
+  // A sync replaces the org's logs but keeps logs imported from files
+  withImportedLogs(logs) {
+    const synced = new Set(logs.map((log) => log.Id))
+    return [...logs, ...this.salesforceLogs.filter((log) => log.imported && !synced.has(log.Id))]
+  }
+
+  downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
   clearAllSessions() {
     if (!confirm("Are you sure you want to clear all sessions? This cannot be undone.")) {
       return
@@ -2376,69 +3880,16 @@ vertical-align: baseline !important;
   }
 
   updateCheckoutData(callData) {
-    // This method analyzes network calls to determine checkout progress
-    const url = callData.url.toLowerCase()
-    const method = callData.method
-    const status = callData.status
-
-    // Only process successful calls
-    if (status < 200 || status >= 300) return
-
-    // Map different API endpoints to checkout requirements
-    if (url.includes("/addresses") || url.includes("/delivery-address") || url.includes("/shipping-address")) {
-      this.checkoutData.shippingAddress = true
-    }
-
-    if (url.includes("/billing-address")) {
-      this.checkoutData.billingAddress = true
-    }
-
-    if (url.includes("/delivery-methods") || url.includes("/shipping-methods")) {
-      this.checkoutData.deliveryMethod = true
-    }
-
-    if (url.includes("/inventory") || url.includes("/cart-items")) {
-      this.checkoutData.inventory = true
-    }
-
-    if (url.includes("/taxes") || url.includes("/tax")) {
-      this.checkoutData.taxes = true
-    }
-
-    if (url.includes("/payments") || url.includes("/payment")) {
-      this.checkoutData.payment = true
-    }
-
-    // Handle /active endpoint by analyzing request body
-    if (url.includes("/active") && callData.requestBody) {
-      try {
-        let parsedBody = callData.requestBody
-        if (typeof callData.requestBody === "string") {
-          parsedBody = JSON.parse(callData.requestBody)
-        }
-
-        if (parsedBody.deliveryMethodId) {
-          this.checkoutData.deliveryMethod = true
-        }
-
-        if (parsedBody.deliveryAddress || parsedBody.shippingAddress) {
-          this.checkoutData.shippingAddress = true
-        }
-
-        if (parsedBody.billingAddress) {
-          this.checkoutData.billingAddress = true
-        }
-
-        if (parsedBody.paymentMethodId || parsedBody.paymentDetails) {
-          this.checkoutData.payment = true
-        }
-      } catch (error) {
-        // Silent fail for JSON parsing errors
-      }
+    // Requirement completion comes entirely from the analyzer's call types and extracted values
+    const analysis = this.getCallAnalysis(callData)
+    if (analysis && typeof this.analyzer.updateCheckoutData === "function") {
+      this.checkoutData = this.analyzer.updateCheckoutData(this.checkoutData, analysis)
     }
 
     // Determine overall checkout status
-    const completedRequirements = this.requirements.filter((req) => this.checkoutData[req.key]).length
+    const completedRequirements = this.requirements.filter(
+      (req) => this.getRequirementStatus(req.key, req.required) === "complete",
+    ).length
     const totalRequirements = this.requirements.filter((req) => req.required).length
 
     if (completedRequirements === 0) {
@@ -2480,7 +3931,8 @@ vertical-align: baseline !important;
 
       if (response && response.success && response.logs) {
         // Update local logs
-        this.salesforceLogs = response.logs
+        this.salesforceLogs = this.withImportedLogs(response.logs)
+        this.correlateSalesforceLogs()
 
         // Add to current session
         if (this.currentSession) {
@@ -2513,11 +3965,13 @@ vertical-align: baseline !important;
 
   clearData() {
     this.networkCalls = []
+    this.replayEditor = null
     this.errors = []
     this.correlations = []
     this.checkoutData = {}
     this.checkoutStatus = null
     this.sessionStart = Date.now()
+    this.resetCorrelations()
 
     // Clear current session data but keep the session
     if (this.currentSession) {
@@ -2531,11 +3985,15 @@ vertical-align: baseline !important;
   }
 
   exportData() {
+    const captured = { networkCalls: this.networkCalls, correlations: this.correlations }
+    const { networkCalls, correlations } = this.includeCredentialsInExports
+      ? captured
+      : window.CredentialRedactor.redactSession(captured)
     const exportData = {
-      networkCalls: this.networkCalls,
+      networkCalls,
       errors: this.errors,
       salesforceLogs: this.salesforceLogs,
-      correlations: this.correlations,
+      correlations,
       checkoutData: this.checkoutData,
       checkoutStatus: this.checkoutStatus,
       sessionStart: this.sessionStart,
@@ -2588,8 +4046,8 @@ vertical-align: baseline !important;
   }
 }
 
-// Initialize the monitor when the script loads
-if (typeof window !== "undefined") {
+// Initialize the monitor when the script loads; the workbench extension page creates its own
+if (typeof window !== "undefined" && window.location.protocol !== "chrome-extension:") {
   // Ensure we only create one instance
   if (!window.sfccMonitor) {
     window.sfccMonitor = new SFCCMonitor()
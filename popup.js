@@ -16,6 +16,15 @@ class PopupController {
     this.accounts = []
     this.activeAccountId = null
     this.editingAccountId = null
+    this.customRules = []
+    this.customCallTypes = []
+    this.editingRuleName = null
+    this.traceFlagManager = new window.TraceFlagManager(this.salesforceAPI)
+    this.traceFlagSettings = null // { accountId, userId, userName, traceFlagId, expirationDate, durationMinutes, autoRenew }
+    this.payloadStore = window.PayloadStore.create() // Log bodies and large payloads, stored in IndexedDB
+    this.vault = new window.CredentialVault()
+    this.vaultStatus = { configured: false, mode: null, unlocked: false }
+    this.plaintextAccountCount = 0 // Stored accounts whose credentials predate the vault
 
     // Bind ALL methods to preserve 'this' context
     this.toggleConnectionForm = this.toggleConnectionForm.bind(this)
@@ -32,13 +41,30 @@ class PopupController {
     this.toggleAccountManagement = this.toggleAccountManagement.bind(this)
     this.cancelForm = this.cancelForm.bind(this)
     this.updateInstanceTypeUI = this.updateInstanceTypeUI.bind(this)
+    this.updateAuthTypeUI = this.updateAuthTypeUI.bind(this)
     this.openSidePanel = this.openSidePanel.bind(this)
+    this.openWorkbench = this.openWorkbench.bind(this)
     this.showSessionCookies = this.showSessionCookies.bind(this)
     this.findSessionCookiesAnywhere = this.findSessionCookiesAnywhere.bind(this)
     this.clearData = this.clearData.bind(this)
     this.exportData = this.exportData.bind(this)
     this.copySessionId = this.copySessionId.bind(this)
     this.useThisSession = this.useThisSession.bind(this)
+    this.showRuleForm = this.showRuleForm.bind(this)
+    this.hideRuleForm = this.hideRuleForm.bind(this)
+    this.saveRule = this.saveRule.bind(this)
+    this.exportCallTypes = this.exportCallTypes.bind(this)
+    this.clearCallTypes = this.clearCallTypes.bind(this)
+    this.loadGuestUsers = this.loadGuestUsers.bind(this)
+    this.searchTraceUsers = this.searchTraceUsers.bind(this)
+    this.enableTraceFlag = this.enableTraceFlag.bind(this)
+    this.disableTraceFlag = this.disableTraceFlag.bind(this)
+    this.clearPayloadCache = this.clearPayloadCache.bind(this)
+    this.setupPassphraseVault = this.setupPassphraseVault.bind(this)
+    this.setupSessionVault = this.setupSessionVault.bind(this)
+    this.unlockVault = this.unlockVault.bind(this)
+    this.lockVault = this.lockVault.bind(this)
+    this.resetVault = this.resetVault.bind(this)
 
     this.init()
   }
@@ -51,10 +77,19 @@ class PopupController {
         return
       }
 
+      this.vaultStatus = await this.vault.getStatus()
       await this.loadAccounts()
+      await this.migratePlaintextAccounts()
       await this.loadActiveConnection()
+      await this.loadCustomRules()
+      await this.loadCustomCallTypes()
+      await this.loadTraceFlagSettings()
       this.setupEventListeners()
       this.updateUI()
+      this.renderRuleList()
+      this.renderCallTypeSummary()
+      this.refreshTraceFlag()
+      this.renderStorageUsage()
     } catch (error) {
       console.error("Failed to initialize popup:", error)
       this.showStatus("Failed to initialize popup", "error")
@@ -70,7 +105,9 @@ class PopupController {
         "salesforceLogs",
         "lastSync",
       ])
-      this.accounts = result.salesforceAccounts || []
+      const storedAccounts = result.salesforceAccounts || []
+      this.plaintextAccountCount = window.CredentialVault.countPlaintext(storedAccounts)
+      this.accounts = await this.vault.openAccounts(storedAccounts)
       this.activeAccountId = result.activeAccountId || null
       this.correlations = result.correlations || []
       this.salesforceLogs = result.salesforceLogs || []
@@ -93,11 +130,11 @@ class PopupController {
     if (!this.activeAccountId) return
 
     const activeAccount = this.accounts.find((acc) => acc.id === this.activeAccountId)
-    if (!activeAccount) return
+    if (!activeAccount || activeAccount.locked) return
 
     try {
       // Test if the active account is still valid
-      const connectResult = await this.salesforceAPI.connect(activeAccount.instanceUrl, activeAccount.sessionId)
+      const connectResult = await this.connectAccount(activeAccount)
 
       if (connectResult.success) {
         //console.log("Active account connection restored")
@@ -182,12 +219,23 @@ class PopupController {
       sandboxRadio.addEventListener("change", this.updateInstanceTypeUI)
     }
 
+    // Authentication radio buttons
+    document.querySelectorAll('input[name="auth-type"]').forEach((radio) => {
+      radio.addEventListener("change", this.updateAuthTypeUI)
+    })
+
     // Open side panel button
     const openPanelBtn = document.getElementById("open-panel-btn")
     if (openPanelBtn) {
       openPanelBtn.addEventListener("click", this.openSidePanel)
     }
 
+    // Open workbench button
+    const openWorkbenchBtn = document.getElementById("open-workbench-btn")
+    if (openWorkbenchBtn) {
+      openWorkbenchBtn.addEventListener("click", this.openWorkbench)
+    }
+
     // Show cookies button
     const showCookiesBtn = document.getElementById("show-cookies-btn")
     if (showCookiesBtn) {
@@ -206,6 +254,88 @@ class PopupController {
       exportDataBtn.addEventListener("click", this.exportData)
     }
 
+    // Correlation rule editor
+    const addRuleBtn = document.getElementById("add-rule-btn")
+    if (addRuleBtn) {
+      addRuleBtn.addEventListener("click", () => this.showRuleForm())
+    }
+
+    const saveRuleBtn = document.getElementById("save-rule-btn")
+    if (saveRuleBtn) {
+      saveRuleBtn.addEventListener("click", this.saveRule)
+    }
+
+    const cancelRuleBtn = document.getElementById("cancel-rule-btn")
+    if (cancelRuleBtn) {
+      cancelRuleBtn.addEventListener("click", this.hideRuleForm)
+    }
+
+    // Call type import/export
+    // The popup closes when a file picker opens, so the import happens on the workbench page
+    const importCallTypesBtn = document.getElementById("import-call-types-btn")
+    if (importCallTypesBtn) {
+      importCallTypesBtn.addEventListener("click", this.openWorkbench)
+    }
+
+    const exportCallTypesBtn = document.getElementById("export-call-types-btn")
+    if (exportCallTypesBtn) {
+      exportCallTypesBtn.addEventListener("click", this.exportCallTypes)
+    }
+
+    const clearCallTypesBtn = document.getElementById("clear-call-types-btn")
+    if (clearCallTypesBtn) {
+      clearCallTypesBtn.addEventListener("click", this.clearCallTypes)
+    }
+
+    const clearPayloadCacheBtn = document.getElementById("clear-payload-cache-btn")
+    if (clearPayloadCacheBtn) {
+      clearPayloadCacheBtn.addEventListener("click", this.clearPayloadCache)
+    }
+
+    // Credential vault controls
+    const vaultButtons = {
+      "vault-setup-btn": this.setupPassphraseVault,
+      "vault-session-btn": this.setupSessionVault,
+      "vault-unlock-btn": this.unlockVault,
+      "vault-lock-btn": this.lockVault,
+      "vault-reset-btn": this.resetVault,
+    }
+    Object.entries(vaultButtons).forEach(([id, handler]) => {
+      document.getElementById(id)?.addEventListener("click", handler)
+    })
+
+    // Debug logging (TraceFlag) controls
+    const guestUsersBtn = document.getElementById("trace-guest-users-btn")
+    if (guestUsersBtn) {
+      guestUsersBtn.addEventListener("click", this.loadGuestUsers)
+    }
+
+    const userSearchBtn = document.getElementById("trace-user-search-btn")
+    if (userSearchBtn) {
+      userSearchBtn.addEventListener("click", this.searchTraceUsers)
+    }
+
+    const enableTraceBtn = document.getElementById("enable-trace-btn")
+    if (enableTraceBtn) {
+      enableTraceBtn.addEventListener("click", this.enableTraceFlag)
+    }
+
+    const disableTraceBtn = document.getElementById("disable-trace-btn")
+    if (disableTraceBtn) {
+      disableTraceBtn.addEventListener("click", this.disableTraceFlag)
+    }
+
+    // The background worker renews the trace flag; keep the countdown current while the popup is open
+    if (this.chrome && this.chrome.storage?.onChanged) {
+      this.chrome.storage.onChanged.addListener((changes, areaName) => {
+        const change = changes[window.TraceFlagManager.SETTINGS_STORAGE_KEY]
+        if (areaName !== "local" || !change) return
+        this.traceFlagSettings = change.newValue || null
+        this.updateTraceFlagSection()
+      })
+    }
+    setInterval(() => this.updateTraceFlagSection(), 30 * 1000)
+
     // Listen for sync requests from content script
     if (this.chrome && this.chrome.runtime) {
       this.chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -252,16 +382,50 @@ class PopupController {
         `
       }
     }
+
+    this.updateAuthTypeUI()
+  }
+
+  // OAuth accounts log in through the connected app; session ID accounts paste or pick a sid cookie
+  updateAuthTypeUI() {
+    const isOAuth = this.getSelectedAuthType() === "oauth"
+
+    document.getElementById("oauth-fields").style.display = isOAuth ? "block" : "none"
+    document.getElementById("session-id-group").style.display = isOAuth ? "none" : "block"
+    document.getElementById("show-cookies-btn").style.display = isOAuth ? "none" : "inline-block"
+
+    if (isOAuth) {
+      const { LOGIN_HOSTS } = window.SalesforceOAuth
+      document.getElementById("login-host").placeholder = LOGIN_HOSTS[this.getSelectedInstanceType()]
+      document.getElementById("oauth-callback-url").textContent = window.SalesforceOAuth.getRedirectUrl()
+    }
+  }
+
+  getSelectedAuthType() {
+    return document.getElementById("auth-oauth")?.checked ? "oauth" : "session"
+  }
+
+  // OAuth accounts get a refresher so an expired access token is replaced instead of failing
+  connectAccount(account) {
+    return this.salesforceAPI.connect(
+      account.instanceUrl,
+      account.sessionId,
+      window.SalesforceOAuth.getConnectOptions(account),
+    )
   }
 
   async selectAccount(accountId) {
     const account = this.accounts.find((acc) => acc.id === accountId)
     if (!account) return
+    if (account.locked) {
+      this.showStatus("Unlock stored credentials first", "error")
+      return
+    }
 
     this.showStatus("Connecting to account...", "info")
 
     try {
-      const result = await this.salesforceAPI.connect(account.instanceUrl, account.sessionId)
+      const result = await this.connectAccount(account)
 
       if (result.success) {
         this.activeAccountId = accountId
@@ -290,9 +454,13 @@ class PopupController {
     const account = this.accounts.find((acc) => acc.id === accountId)
 
     if (account) {
+      const isOAuth = account.authType === "oauth"
       document.getElementById("account-name-input").value = account.name
       document.getElementById("instance-url").value = account.instanceUrl
-      document.getElementById("session-id").value = account.sessionId
+      document.getElementById("session-id").value = isOAuth ? "" : account.sessionId || ""
+      document.getElementById("login-host").value = account.loginHost || ""
+      document.getElementById("oauth-client-id").value = account.clientId || ""
+      document.getElementById(isOAuth ? "auth-oauth" : "auth-session").checked = true
 
       // Set instance type radio button
       const instanceType = account.instanceType || "production"
@@ -309,6 +477,12 @@ class PopupController {
   async deleteAccount(accountId) {
     if (!confirm("Are you sure you want to delete this account?")) return
 
+    // Revoke the refresh token so it cannot outlive the account
+    const account = this.accounts.find((acc) => acc.id === accountId)
+    if (account?.authType === "oauth") {
+      await new window.SalesforceOAuth().revoke(account).catch((error) => console.warn("Token revoke failed:", error))
+    }
+
     this.accounts = this.accounts.filter((acc) => acc.id !== accountId)
 
     // If deleting the active account, clear it
@@ -383,6 +557,9 @@ class PopupController {
     document.getElementById("account-name-input").value = ""
     document.getElementById("instance-url").value = ""
     document.getElementById("session-id").value = ""
+    document.getElementById("login-host").value = ""
+    document.getElementById("oauth-client-id").value = ""
+    document.getElementById("auth-session").checked = true
 
     // Hide cookie display
     document.getElementById("cookie-display").classList.remove("show")
@@ -450,6 +627,13 @@ class PopupController {
     const sessionId = document.getElementById("session-id").value.trim()
     const instanceType = this.getSelectedInstanceType()
 
+    if (!this.requireUnlockedVault()) return
+
+    if (this.getSelectedAuthType() === "oauth") {
+      await this.saveOAuthAccount({ name, instanceType })
+      return
+    }
+
     if (!name || !instanceUrl || !sessionId) {
       this.showStatus("Please fill in all fields", "error")
       return
@@ -487,6 +671,7 @@ class PopupController {
         instanceUrl: instanceUrl.endsWith("/") ? instanceUrl.slice(0, -1) : instanceUrl,
         sessionId,
         instanceType,
+        authType: "session",
         createdAt: this.editingAccountId
           ? this.accounts.find((acc) => acc.id === this.editingAccountId).createdAt
           : Date.now(),
@@ -518,11 +703,568 @@ class PopupController {
     }
   }
 
+  // The login window is opened by the background worker because the popup closes when it loses focus.
+  // If that happens, the worker still stores the account and the popup shows it the next time it opens.
+  async saveOAuthAccount({ name, instanceType }) {
+    const clientId = document.getElementById("oauth-client-id").value.trim()
+    if (!name || !clientId) {
+      this.showStatus("Please enter an account name and the connected app's consumer key", "error")
+      return
+    }
+
+    let loginHost
+    try {
+      loginHost = window.SalesforceOAuth.normalizeLoginHost(document.getElementById("login-host").value.trim())
+    } catch (error) {
+      this.showStatus(error.message, "error")
+      return
+    }
+
+    const existing = this.accounts.find((acc) => acc.id === this.editingAccountId)
+    const account = {
+      id: existing?.id || this.generateId(),
+      name,
+      instanceType,
+      loginHost,
+      clientId,
+      createdAt: existing?.createdAt || Date.now(),
+    }
+
+    this.showStatus("Complete the Salesforce login in the new window...", "info")
+
+    try {
+      const response = await this.chrome.runtime.sendMessage({ action: "authorizeSalesforce", account })
+      if (!response?.success) {
+        this.showStatus(`Login failed: ${response?.error || "no response from the extension"}`, "error")
+        return
+      }
+
+      await this.loadAccounts()
+      const result = await this.connectAccount(this.accounts.find((acc) => acc.id === account.id))
+      if (!result.success) {
+        this.showStatus(`Connection test failed: ${result.error}`, "error")
+        return
+      }
+
+      this.showStatus(`Account "${name}" ${existing ? "updated" : "added"}!`, "success")
+      this.cancelForm()
+      this.updateUI()
+
+      // Auto-sync after saving
+      setTimeout(() => this.syncWithCheckoutData(), 1000)
+    } catch (error) {
+      this.showStatus(`Error saving account: ${error.message}`, "error")
+    }
+  }
+
   async saveAccounts() {
     await this.chrome.storage.local.set({
-      salesforceAccounts: this.accounts,
+      salesforceAccounts: await this.vault.sealAccounts(this.accounts),
       activeAccountId: this.activeAccountId,
     })
+    this.plaintextAccountCount = this.vaultStatus.configured ? 0 : window.CredentialVault.countPlaintext(this.accounts)
+  }
+
+  // Credential vault - session IDs and refresh tokens are stored AES-GCM encrypted
+  requireUnlockedVault() {
+    if (!this.vaultStatus.configured) {
+      this.showStatus("Choose how to encrypt credentials in the Credentials section first", "error")
+      return false
+    }
+    if (!this.vaultStatus.unlocked) {
+      this.showStatus("Unlock stored credentials first", "error")
+      return false
+    }
+    return true
+  }
+
+  // Accounts saved before the vault existed are re-stored encrypted as soon as a key is available
+  async migratePlaintextAccounts() {
+    if (this.plaintextAccountCount === 0 || !this.vaultStatus.unlocked) return
+
+    await this.saveAccounts()
+    console.log("Encrypted credentials of accounts stored in plain text")
+  }
+
+  readNewPassphrase() {
+    const passphrase = document.getElementById("vault-passphrase").value
+    const confirmation = document.getElementById("vault-passphrase-confirm").value
+
+    if (passphrase.length < 8) {
+      this.showStatus("Use a passphrase of at least 8 characters", "error")
+      return null
+    }
+    if (passphrase !== confirmation) {
+      this.showStatus("Passphrases do not match", "error")
+      return null
+    }
+    return passphrase
+  }
+
+  async setupPassphraseVault() {
+    const passphrase = this.readNewPassphrase()
+    if (passphrase) await this.setupVault("passphrase", passphrase)
+  }
+
+  async setupSessionVault() {
+    const message = "Credentials will be forgotten when the browser closes, and accounts will need a new session ID or login."
+    if (!confirm(`${message} Continue?`)) return
+    await this.setupVault("session")
+  }
+
+  async setupVault(mode, passphrase) {
+    try {
+      await this.vault.setup(mode, passphrase)
+      this.vaultStatus = await this.vault.getStatus()
+      await this.migratePlaintextAccounts()
+      this.clearPassphraseFields()
+      this.showStatus("Stored credentials are now encrypted", "success")
+    } catch (error) {
+      console.error("Failed to set up credential vault:", error)
+      this.showStatus(`Failed to encrypt credentials: ${error.message}`, "error")
+    }
+    this.updateUI()
+  }
+
+  async unlockVault() {
+    try {
+      await this.vault.unlock(document.getElementById("vault-passphrase").value)
+      this.vaultStatus = await this.vault.getStatus()
+      this.clearPassphraseFields()
+
+      await this.loadAccounts()
+      await this.migratePlaintextAccounts()
+      await this.loadActiveConnection()
+      this.showStatus("Credentials unlocked", "success")
+    } catch (error) {
+      this.showStatus(error.message, "error")
+    }
+    this.updateUI()
+    this.refreshTraceFlag()
+  }
+
+  // Locking also stops the background log feed and trace flag renewal until the next unlock
+  async lockVault() {
+    await this.vault.lock()
+    await this.salesforceAPI.disconnect()
+    this.vaultStatus = await this.vault.getStatus()
+    await this.loadAccounts()
+    this.updateUI()
+    this.showStatus("Credentials locked", "info")
+  }
+
+  // For a forgotten passphrase or an expired browser-session key: accounts keep their settings, not their credentials
+  async resetVault() {
+    const message = "Remove all stored session IDs and tokens? Accounts are kept, but each needs a new session ID or login."
+    if (!confirm(message)) return
+
+    await this.vault.reset()
+    await this.salesforceAPI.disconnect()
+    this.accounts = this.accounts.map(({ credentials, locked, sessionId, refreshToken, ...account }) => account)
+    await this.saveAccounts()
+    this.vaultStatus = await this.vault.getStatus()
+    this.updateUI()
+    this.showStatus("Stored credentials removed", "info")
+  }
+
+  clearPassphraseFields() {
+    document.getElementById("vault-passphrase").value = ""
+    document.getElementById("vault-passphrase-confirm").value = ""
+  }
+
+  updateVaultSection() {
+    const statusEl = document.getElementById("vault-status")
+    if (!statusEl) return
+
+    const { configured, mode, unlocked } = this.vaultStatus
+    const show = (id, visible) => {
+      document.getElementById(id).style.display = visible ? "inline-block" : "none"
+    }
+
+    if (!configured) {
+      statusEl.textContent =
+        this.plaintextAccountCount > 0
+          ? `⚠️ ${this.plaintextAccountCount} account(s) store credentials in plain text. Choose how to encrypt them.`
+          : "Choose how stored session IDs and tokens are encrypted before adding an account."
+    } else if (unlocked) {
+      statusEl.textContent =
+        mode === "passphrase"
+          ? "🔓 Unlocked until you lock it or the browser closes"
+          : "🔒 Encrypted with a key that is forgotten when the browser closes"
+    } else {
+      statusEl.textContent =
+        mode === "passphrase"
+          ? "🔒 Locked - enter your passphrase to connect"
+          : "The browser-session key expired when the browser closed. Reset credentials to add them again."
+    }
+
+    const needsPassphrase = !configured || (!unlocked && mode === "passphrase")
+    document.getElementById("vault-passphrase-fields").style.display = needsPassphrase ? "block" : "none"
+    document.getElementById("vault-passphrase-confirm").style.display = configured ? "none" : "block"
+    show("vault-setup-btn", !configured)
+    show("vault-session-btn", !configured)
+    show("vault-unlock-btn", configured && !unlocked && mode === "passphrase")
+    show("vault-lock-btn", configured && unlocked && mode === "passphrase")
+    show("vault-reset-btn", configured)
+  }
+
+  // Custom correlation rules - stored as plain data and picked up by every tab's CorrelationEngine
+  async loadCustomRules() {
+    const storageKey = window.CorrelationEngine.CUSTOM_RULES_STORAGE_KEY
+    const result = await this.chrome.storage.local.get([storageKey])
+    this.customRules = result[storageKey] || []
+  }
+
+  async saveCustomRules() {
+    await this.chrome.storage.local.set({
+      [window.CorrelationEngine.CUSTOM_RULES_STORAGE_KEY]: this.customRules,
+    })
+  }
+
+  renderRuleList() {
+    const container = document.getElementById("rule-list")
+    if (!container) return
+
+    if (this.customRules.length === 0) {
+      container.innerHTML = `
+        <div style="font-size: 11px; color: #6b7280; margin-bottom: 8px;">No custom rules - using built-in payment, delivery, cart, address and tax rules</div>
+      `
+      return
+    }
+
+    container.innerHTML = ""
+    this.customRules.forEach((rule) => {
+      const item = document.createElement("div")
+      item.className = "account-item"
+      item.innerHTML = `
+        <div class="account-info">
+          <div class="account-name"></div>
+          <div class="account-url"></div>
+        </div>
+        <div class="account-actions-small">
+          <button class="btn btn-small btn-edit" data-action="edit">Edit</button>
+          <button class="btn btn-small btn-delete" data-action="delete">Delete</button>
+        </div>
+      `
+      item.querySelector(".account-name").textContent = rule.name
+      item.querySelector(".account-url").textContent =
+        `${rule.networkPatterns.join(", ")} ↔ ${rule.logPatterns.join(", ")} • ${rule.timeWindow / 1000}s • weight ${rule.weight}`
+
+      item.querySelector('[data-action="edit"]').addEventListener("click", () => this.showRuleForm(rule))
+      item.querySelector('[data-action="delete"]').addEventListener("click", () => this.deleteRule(rule.name))
+
+      container.appendChild(item)
+    })
+  }
+
+  showRuleForm(rule = null) {
+    this.editingRuleName = rule ? rule.name : null
+
+    document.getElementById("rule-name-input").value = rule ? rule.name : ""
+    document.getElementById("rule-network-input").value = rule ? rule.networkPatterns.join("\n") : ""
+    document.getElementById("rule-log-input").value = rule ? rule.logPatterns.join("\n") : ""
+    document.getElementById("rule-window-input").value = rule ? rule.timeWindow / 1000 : 30
+    document.getElementById("rule-weight-input").value = rule ? rule.weight : 8
+    document.getElementById("rule-extractors-input").value = rule
+      ? Object.entries(rule.extractors || {})
+          .map(([key, path]) => `${key} = ${path}`)
+          .join("\n")
+      : ""
+
+    document.getElementById("rule-form").classList.add("show")
+  }
+
+  hideRuleForm() {
+    this.editingRuleName = null
+    document.getElementById("rule-form").classList.remove("show")
+  }
+
+  readRuleForm() {
+    const lines = (id) =>
+      document
+        .getElementById(id)
+        .value.split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+
+    const extractors = {}
+    lines("rule-extractors-input").forEach((line) => {
+      const [key, ...path] = line.split("=")
+      extractors[key.trim()] = path.join("=").trim()
+    })
+
+    return {
+      name: document.getElementById("rule-name-input").value.trim(),
+      networkPatterns: lines("rule-network-input"),
+      logPatterns: lines("rule-log-input"),
+      timeWindow: Math.round(Number.parseFloat(document.getElementById("rule-window-input").value) * 1000),
+      weight: Number.parseFloat(document.getElementById("rule-weight-input").value),
+      extractors,
+    }
+  }
+
+  async saveRule() {
+    const rule = this.readRuleForm()
+    const errors = window.CorrelationEngine.validateRuleDefinition(rule)
+
+    if (rule.name !== this.editingRuleName && this.customRules.some((existing) => existing.name === rule.name)) {
+      errors.push(`A rule named "${rule.name}" already exists`)
+    }
+
+    if (errors.length > 0) {
+      this.showStatus(errors[0], "error")
+      return
+    }
+
+    try {
+      this.customRules = this.customRules.filter((existing) => existing.name !== this.editingRuleName)
+      this.customRules.push(rule)
+      await this.saveCustomRules()
+
+      this.hideRuleForm()
+      this.renderRuleList()
+      this.showStatus(`Rule "${rule.name}" saved`, "success")
+    } catch (error) {
+      console.error("Failed to save correlation rule:", error)
+      this.showStatus("Failed to save rule", "error")
+    }
+  }
+
+  async deleteRule(name) {
+    if (!confirm(`Delete correlation rule "${name}"?`)) return
+
+    this.customRules = this.customRules.filter((rule) => rule.name !== name)
+    await this.saveCustomRules()
+    this.renderRuleList()
+    this.showStatus("Rule deleted", "info")
+  }
+
+  // Custom call types - declarative JSON definitions loaded into every tab's CheckoutCallAnalyzer
+  async loadCustomCallTypes() {
+    const storageKey = window.CheckoutCallAnalyzer.CUSTOM_TYPES_STORAGE_KEY
+    const result = await this.chrome.storage.local.get([storageKey])
+    this.customCallTypes = result[storageKey] || []
+  }
+
+  async saveCustomCallTypes() {
+    await this.chrome.storage.local.set({
+      [window.CheckoutCallAnalyzer.CUSTOM_TYPES_STORAGE_KEY]: this.customCallTypes,
+    })
+  }
+
+  renderCallTypeSummary() {
+    const summary = document.getElementById("call-type-summary")
+    const clearBtn = document.getElementById("clear-call-types-btn")
+    if (!summary) return
+
+    summary.textContent =
+      this.customCallTypes.length > 0
+        ? `${this.customCallTypes.length} custom: ${this.customCallTypes.map((type) => type.name).join(", ")}`
+        : "No custom call types"
+
+    if (clearBtn) {
+      clearBtn.style.display = this.customCallTypes.length > 0 ? "block" : "none"
+    }
+  }
+
+  exportCallTypes() {
+    const analyzer = new window.CheckoutCallAnalyzer()
+    analyzer.loadCustomCallTypes(this.customCallTypes)
+
+    const blob = new Blob([JSON.stringify(analyzer.exportCallTypes(), null, 2)], { type: "application/json" })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = `sfcc-call-types-${new Date().toISOString().split("T")[0]}.json`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  async clearCallTypes() {
+    if (!confirm("Remove all custom call types?")) return
+
+    this.customCallTypes = []
+    await this.saveCustomCallTypes()
+    this.renderCallTypeSummary()
+    this.showStatus("Custom call types removed", "info")
+  }
+
+  // TraceFlag management - one managed trace flag, renewed by the background worker
+  async loadTraceFlagSettings() {
+    const storageKey = window.TraceFlagManager.SETTINGS_STORAGE_KEY
+    const result = await this.chrome.storage.local.get([storageKey])
+    this.traceFlagSettings = result[storageKey] || null
+  }
+
+  async saveTraceFlagSettings() {
+    const storageKey = window.TraceFlagManager.SETTINGS_STORAGE_KEY
+    if (this.traceFlagSettings) {
+      await this.chrome.storage.local.set({ [storageKey]: this.traceFlagSettings })
+    } else {
+      await this.chrome.storage.local.remove(storageKey)
+    }
+  }
+
+  getActiveTraceFlagSettings() {
+    return this.traceFlagSettings?.accountId === this.activeAccountId ? this.traceFlagSettings : null
+  }
+
+  // Pick up changes made in Setup or by another tool since the flag was last set
+  async refreshTraceFlag() {
+    const settings = this.getActiveTraceFlagSettings()
+    if (!settings || !this.salesforceAPI.isConnected) return
+
+    try {
+      const traceFlag = await this.traceFlagManager.getTraceFlag(settings.userId)
+      this.traceFlagSettings = {
+        ...settings,
+        traceFlagId: traceFlag?.Id || null,
+        expirationDate: traceFlag?.ExpirationDate || null,
+      }
+      await this.saveTraceFlagSettings()
+      this.updateTraceFlagSection()
+    } catch (error) {
+      console.warn("Could not refresh trace flag:", error)
+    }
+  }
+
+  async loadGuestUsers() {
+    try {
+      const users = await this.traceFlagManager.getGuestUsers()
+      this.populateTraceUserSelect(users)
+      this.showStatus(
+        users.length > 0 ? `Found ${users.length} guest user(s)` : "No active guest users found",
+        users.length > 0 ? "success" : "warning",
+      )
+    } catch (error) {
+      console.error("Failed to load guest users:", error)
+      this.showStatus(`Could not load users: ${error.message}`, "error")
+    }
+  }
+
+  async searchTraceUsers() {
+    const term = document.getElementById("trace-user-search").value.trim()
+    if (term.length < 2) {
+      this.showStatus("Enter at least 2 characters to search", "warning")
+      return
+    }
+
+    try {
+      const users = await this.traceFlagManager.searchUsers(term)
+      this.populateTraceUserSelect(users)
+      this.showStatus(
+        users.length > 0 ? `Found ${users.length} user(s)` : "No matching users",
+        users.length > 0 ? "success" : "warning",
+      )
+    } catch (error) {
+      console.error("Failed to search users:", error)
+      this.showStatus(`Could not search users: ${error.message}`, "error")
+    }
+  }
+
+  populateTraceUserSelect(users) {
+    const select = document.getElementById("trace-user-select")
+    const selectedId = this.getActiveTraceFlagSettings()?.userId
+
+    select.innerHTML = '<option value="">Select a user...</option>'
+    users.forEach((user) => {
+      const option = document.createElement("option")
+      option.value = user.Id
+      option.textContent = `${user.Name} (${user.Username})`
+      option.dataset.name = user.Name
+      option.selected = user.Id === selectedId
+      select.appendChild(option)
+    })
+  }
+
+  async enableTraceFlag() {
+    // Extending keeps the traced user when the list has not been loaded since the popup opened
+    const select = document.getElementById("trace-user-select")
+    const option = select.options[select.selectedIndex]
+    const current = this.getActiveTraceFlagSettings()
+    const userId = select.value || current?.userId
+    if (!userId) {
+      this.showStatus("Select a user to trace", "warning")
+      return
+    }
+    const userName = select.value ? option.dataset.name || option.textContent : current.userName
+
+    const durationMinutes = Number.parseInt(document.getElementById("trace-duration-select").value)
+    const autoRenew = document.getElementById("trace-auto-renew").checked
+
+    try {
+      this.showStatus("Setting trace flag...", "info")
+      const traceFlag = await this.traceFlagManager.enableTraceFlag(userId, durationMinutes)
+
+      this.traceFlagSettings = { accountId: this.activeAccountId, userName, durationMinutes, autoRenew, ...traceFlag }
+      await this.saveTraceFlagSettings()
+
+      this.updateTraceFlagSection()
+      this.showStatus(`Debug logging enabled for ${userName}`, "success")
+    } catch (error) {
+      console.error("Failed to enable trace flag:", error)
+      this.showStatus(`Could not enable debug logging: ${error.message}`, "error")
+    }
+  }
+
+  async disableTraceFlag() {
+    const settings = this.getActiveTraceFlagSettings()
+    if (!settings) return
+
+    try {
+      if (settings.traceFlagId && this.salesforceAPI.isConnected) {
+        await this.traceFlagManager.disableTraceFlag(settings.traceFlagId)
+      }
+      this.traceFlagSettings = null
+      await this.saveTraceFlagSettings()
+
+      this.updateTraceFlagSection()
+      this.showStatus("Debug logging stopped", "info")
+    } catch (error) {
+      console.error("Failed to remove trace flag:", error)
+      this.showStatus(`Could not stop debug logging: ${error.message}`, "error")
+    }
+  }
+
+  updateTraceFlagSection() {
+    const section = document.getElementById("trace-flag-section")
+    const statusEl = document.getElementById("trace-flag-status")
+    const disableBtn = document.getElementById("disable-trace-btn")
+    const enableBtn = document.getElementById("enable-trace-btn")
+    if (!section) return
+
+    const isConnected = this.salesforceAPI.isConnected && this.activeAccountId
+    section.style.display = isConnected ? "block" : "none"
+    if (!isConnected) return
+
+    const settings = this.getActiveTraceFlagSettings()
+    if (!settings) {
+      statusEl.textContent = "No trace flag set by the debugger"
+      statusEl.style.color = "#6b7280"
+      disableBtn.style.display = "none"
+      enableBtn.textContent = "Enable Debug Logging"
+      return
+    }
+
+    const remaining = window.TraceFlagManager.getRemainingMs(settings.expirationDate)
+    const renewal = settings.autoRenew ? " · auto-renew on" : ""
+    statusEl.textContent =
+      remaining > 0
+        ? `Tracing ${settings.userName} · expires in ${this.formatRemaining(remaining)}${renewal}`
+        : `Trace flag for ${settings.userName} expired${renewal}`
+    if (settings.lastError) statusEl.textContent += ` · last renewal failed: ${settings.lastError}`
+    statusEl.style.color = remaining > 0 && !settings.lastError ? "#166534" : "#92400e"
+
+    disableBtn.style.display = "block"
+    enableBtn.textContent = remaining > 0 ? "Extend Debug Logging" : "Enable Debug Logging"
+  }
+
+  formatRemaining(ms) {
+    const minutes = Math.ceil(ms / 60000)
+    if (minutes < 60) return `${minutes}m`
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
   }
 
   toggleConnectionForm() {
@@ -612,10 +1354,12 @@ class PopupController {
   }
 
   updateUI() {
+    this.updateVaultSection()
     this.updateAccountSelector()
     this.updateConnectionInfo()
     this.updateSalesforceStatus()
     this.updateCorrelationSummary()
+    this.updateTraceFlagSection()
 
     // Add debug logging
     if (this.accounts.length > 0) {
@@ -742,19 +1486,25 @@ class PopupController {
     try {
       this.showStatus("Fetching Salesforce logs...", "info")
 
+      // Bodies the live log feed already downloaded are reused
+      const { logFeedLogs = [] } = await this.chrome.storage.local.get(["logFeedLogs"])
       const { logs } = await this.salesforceAPI.getDebugLogs({
         startTime: new Date(Date.now() - 60 * 60 * 1000),
         endTime: new Date(),
         maxRecords: 50,
+        cachedLogs: [...this.salesforceLogs, ...logFeedLogs],
+        loadCachedBody: (log) => this.payloadStore.get(log.bodyRef),
       })
 
       this.salesforceLogs = logs
       this.lastSync = Date.now()
 
+      // Bodies go to the payload store; storage keeps the records and a reference
       await this.chrome.storage.local.set({
-        salesforceLogs: logs,
+        salesforceLogs: await this.payloadStore.dehydrateLogs(logs),
         lastSync: this.lastSync,
       })
+      this.renderStorageUsage()
 
       if (logs.length > 0) {
         this.showStatus(`Found ${logs.length} Salesforce logs!`, "success")
@@ -906,6 +1656,16 @@ class PopupController {
     }
   }
 
+  // Offline analysis of stored and imported sessions in its own tab
+  openWorkbench() {
+    try {
+      this.chrome.tabs.create({ url: this.chrome.runtime.getURL("workbench.html") })
+    } catch (error) {
+      console.error("Error opening workbench:", error)
+      this.showStatus("Error opening workbench", "error")
+    }
+  }
+
   async findSessionCookiesAnywhere() {
     try {
       this.showStatus("Looking for session cookies...", "info")
@@ -1076,6 +1836,51 @@ class PopupController {
     return "production"
   }
 
+  // Payload cache against its eviction budget, plus sessions and settings in chrome.storage.local
+  async renderStorageUsage() {
+    const usageEl = document.getElementById("storage-usage")
+    if (!usageEl) return
+
+    try {
+      const [usage, localBytes] = await Promise.all([
+        this.payloadStore.usage(),
+        this.chrome.storage.local.getBytesInUse(null),
+      ])
+      const kinds = Object.entries(usage.byKind)
+        .map(([kind, { count, bytes }]) => `${count} ${kind}${count === 1 ? "" : "s"} (${this.formatBytes(bytes)})`)
+        .join(", ")
+
+      usageEl.innerHTML = `
+        <div>Payload cache: ${this.formatBytes(usage.bytes)} of ${this.formatBytes(usage.maxBytes)}${kinds ? ` - ${kinds}` : ""}</div>
+        <div>Sessions &amp; settings: ${this.formatBytes(localBytes)}</div>
+      `
+    } catch (error) {
+      console.error("Failed to read storage usage:", error)
+      usageEl.textContent = `Storage usage unavailable: ${error.message}`
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  async clearPayloadCache() {
+    if (!confirm("Remove all cached log bodies and large payloads? Stored sessions keep their calls and logs without them.")) {
+      return
+    }
+
+    try {
+      await this.payloadStore.clear()
+      this.showStatus("Payload cache cleared", "success")
+    } catch (error) {
+      console.error("Failed to clear payload cache:", error)
+      this.showStatus(`Failed to clear payload cache: ${error.message}`, "error")
+    }
+    this.renderStorageUsage()
+  }
+
   async clearData() {
     try {
       // Check if Chrome APIs are available
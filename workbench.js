@@ -0,0 +1,173 @@
+// Offline analysis workbench - the debug panel's views over stored and imported sessions, no storefront tab needed
+class WorkbenchMonitor extends SFCCMonitor {
+  // Replaces the content script's init: nothing to intercept, inject or watch on an extension page
+  async init() {
+    this.analyzer = new window.CheckoutCallAnalyzer()
+    this.flowValidator = new window.CheckoutFlowValidator()
+    this.cartReconciler = new window.CartReconciler()
+    this.correlationEngine = new window.CorrelationEngine()
+    this.sessionManager = window.SessionManager
+    this.componentsLoaded = {
+      analyzer: true,
+      flowValidator: true,
+      cartReconciler: true,
+      correlationEngine: true,
+      salesforceLogger: false,
+      sessionManager: !!this.sessionManager,
+    }
+
+    this.setupWorkbenchEventListeners()
+
+    await Promise.all([this.loadCustomCallTypes(), this.loadCustomCorrelationRules(), this.loadSessionsForDisplay()])
+
+    this.switchTab("sessions")
+    this.updatePanelContent()
+  }
+
+  setupWorkbenchEventListeners() {
+    document.querySelectorAll(".sfcc-tab").forEach((tab) => {
+      tab.addEventListener("click", () => this.switchTab(tab.dataset.tab))
+    })
+
+    const sessionInput = document.getElementById("workbench-session-file")
+    document.getElementById("workbench-open-session-btn").addEventListener("click", () => sessionInput.click())
+    sessionInput.addEventListener("change", async () => {
+      for (const file of sessionInput.files) {
+        await this.openSessionFile(file)
+      }
+      sessionInput.value = ""
+    })
+
+    const logInput = document.getElementById("workbench-log-file")
+    document.getElementById("workbench-open-logs-btn").addEventListener("click", () => logInput.click())
+    logInput.addEventListener("change", async () => {
+      if (logInput.files.length > 0) await this.openLogFiles([...logInput.files])
+      logInput.value = ""
+    })
+
+    const callTypeInput = document.getElementById("workbench-call-type-file")
+    document.getElementById("workbench-import-call-types-btn").addEventListener("click", () => callTypeInput.click())
+    callTypeInput.addEventListener("change", async () => {
+      if (callTypeInput.files[0]) await this.importCallTypeFile(callTypeInput.files[0])
+      callTypeInput.value = ""
+    })
+
+    // Sessions saved by a panel in another tab show up without reloading the page
+    this.chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !changes[this.sessionManager?.storageKey]) return
+      this.sessionManager.loadSessions().then(() => {
+        if (this.activeTab === "sessions") this.renderTabContent()
+      })
+    })
+  }
+
+  // Session exports, panel "Export" files and HAR files
+  async openSessionFile(file) {
+    try {
+      const data = JSON.parse(await file.text())
+
+      if (Array.isArray(data?.log?.entries)) {
+        await this.importHar(file)
+        this.showWorkbenchStatus(this.harImportStatus.message, this.harImportStatus.type)
+        return
+      }
+
+      const session = this.sessionManager.importSession({ session: this.toSessionData(data, file.name) })
+      this.loadSession(session.id)
+      this.showWorkbenchStatus(`Opened ${file.name} (${session.networkCalls.length} calls)`, "success")
+    } catch (error) {
+      console.error("Error opening session file:", error)
+      this.showWorkbenchStatus(`Could not open ${file.name}: ${error.message}`, "error")
+    }
+  }
+
+  toSessionData(data, fileName) {
+    // SessionManager/panel session export: { session, exportTime, version }
+    if (data?.session && Array.isArray(data.session.networkCalls)) {
+      return { ...data.session, endTime: data.session.endTime || data.session.startTime || Date.now() }
+    }
+
+    // Panel footer export: { networkCalls, errors, salesforceLogs, ... }
+    if (Array.isArray(data?.networkCalls)) {
+      const lastCall = data.networkCalls[data.networkCalls.length - 1]
+      return {
+        name: `Import: ${fileName}`,
+        checkoutId: null,
+        startTime: data.sessionStart || data.networkCalls[0]?.timestamp || Date.now(),
+        endTime: lastCall?.timestamp || Date.now(),
+        networkCalls: data.networkCalls,
+        errors: data.errors || [],
+        salesforceLogs: data.salesforceLogs || [],
+        correlations: data.correlations || [],
+        checkoutData: data.checkoutData || {},
+        metadata: { url: data.url || fileName, source: "json", fileName, timestamp: Date.now() },
+      }
+    }
+
+    throw new Error("expected a session export, a debug data export or a HAR file")
+  }
+
+  // Raw .log files or ApexLog records exported as JSON, added to the open session (or a new one)
+  async openLogFiles(files) {
+    if (!this.currentSession) {
+      const session = this.sessionManager.importSession({
+        session: {
+          name: `Logs: ${files[0].name}`,
+          checkoutId: null,
+          startTime: Date.now(),
+          endTime: Date.now(),
+          networkCalls: [],
+          errors: [],
+          salesforceLogs: [],
+          correlations: [],
+          checkoutData: {},
+          metadata: { url: files[0].name, source: "logs", fileName: files[0].name, timestamp: Date.now() },
+        },
+      })
+      this.loadSession(session.id)
+    }
+
+    await this.importLogFiles(files)
+    this.showWorkbenchStatus(this.logImportStatus.message, this.logImportStatus.type)
+  }
+
+  // Custom call type JSON, merged by name into the stored definitions that every tab loads. Imported here
+  // rather than in the popup, which closes as soon as the file picker takes focus.
+  async importCallTypeFile(file) {
+    try {
+      const definitions = window.CheckoutCallAnalyzer.parseCallTypesJson(await file.text())
+      for (const definition of definitions) {
+        const errors = window.CheckoutCallAnalyzer.validateCallTypeDefinition(definition)
+        if (errors.length > 0) throw new Error(`${definition?.name || "Call type"}: ${errors[0]}`)
+      }
+
+      const storageKey = window.CheckoutCallAnalyzer.CUSTOM_TYPES_STORAGE_KEY
+      const { [storageKey]: stored = [] } = await this.chrome.storage.local.get([storageKey])
+      const importedNames = new Set(definitions.map((definition) => definition.name))
+      await this.chrome.storage.local.set({
+        [storageKey]: [...stored.filter((type) => !importedNames.has(type.name)), ...definitions],
+      })
+
+      await this.loadCustomCallTypes()
+      this.updatePanelContent()
+      this.showWorkbenchStatus(`Imported ${definitions.length} call type(s) from ${file.name}`, "success")
+    } catch (error) {
+      console.error("Failed to import call types:", error)
+      this.showWorkbenchStatus(`Call type import failed: ${error.message}`, "error")
+    }
+  }
+
+  showWorkbenchStatus(message, type) {
+    const status = document.getElementById("workbench-status")
+    if (!status) return
+
+    const isError = type === "error"
+    status.textContent = message
+    status.style.display = "block"
+    status.style.background = isError ? "#fef2f2" : "#f0fdf4"
+    status.style.color = isError ? "#dc2626" : "#15803d"
+    status.style.border = `1px solid ${isError ? "#fecaca" : "#bbf7d0"}`
+  }
+}
+
+window.sfccMonitor = new WorkbenchMonitor()